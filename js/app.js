@@ -8,12 +8,16 @@ let game = null;
 let board = null;
 let playerColor = 'white';
 let currentDifficulty = 'intermediate';
+let currentPersonality = DEFAULT_PERSONALITY;
 let currentTimeControl = 'rapid';
 let gameStarted = false;
 let moveHistory = [];
 let capturedByTal = [];
 let capturedByPlayer = [];
 let isGameOver = false;
+let gameRecord = null;  // Seed and engine decisions of the current game, so it can be replayed
+let replay = null;      // Famous game on the board: { famous, ply, takeoverPly }, takeoverPly null while stepping through it
+let recordLabelTimer = null; // Puts the Copy Record label back after saying how the copy went
 
 // DOM Elements
 const elements = {
@@ -32,9 +36,13 @@ const elements = {
     modalTitle: null,
     modalMessage: null,
     modalIcon: null,
-    talRating: null
+    talRating: null,
+    moveExplanation: null
 };
 
+// How long the Copy Record button says whether the record was copied
+const RECORD_LABEL_MS = 2000;
+
 // Piece symbols for display
 const PIECE_SYMBOLS = {
     'p': '♟', 'n': '♞', 'b': '♝', 'r': '♜', 'q': '♛', 'k': '♚',
@@ -61,6 +69,12 @@ function init() {
     elements.modalMessage = document.getElementById('modal-message');
     elements.modalIcon = document.getElementById('modal-icon');
     elements.talRating = document.getElementById('tal-rating');
+    elements.moveExplanation = document.getElementById('move-explanation');
+
+    // List the opponents and show the default one
+    setupOpponentSelection();
+    applyPersonality(currentPersonality);
+    setupLegendSelection();
 
     // Set up event listeners
     setupEventListeners();
@@ -79,14 +93,102 @@ function setupTimerCallbacks() {
         if (isGameOver) return;
         isGameOver = true;
 
+        const personality = getPersonality(currentPersonality);
         if (loser === 'player') {
-            showModal('Time Out!', 'You ran out of time. Mikhail Tal wins by timeout! "Time is an illusion, but the clock is very real."', '⏰');
+            showModal('Time Out!', personality.messages.winOnTime, '⏰');
         } else {
-            showModal('Time Out!', 'Mikhail Tal ran out of time. You win by timeout!', '🏆');
+            showModal('Time Out!', `${personality.name} ran out of time. You win by timeout!`, '🏆');
+        }
+
+        if (replay) {
+            showReplayComparison();
         }
     });
 }
 
+/**
+ * Add a button for every personality to the selection screen
+ */
+function setupOpponentSelection() {
+    const container = document.getElementById('opponent-buttons');
+
+    Object.values(PERSONALITIES).forEach(personality => {
+        const btn = document.createElement('button');
+        btn.className = 'opponent-btn';
+        btn.dataset.personality = personality.id;
+        btn.innerHTML = `
+            <span class="opponent-icon">${personality.icon}</span>
+            <span class="opponent-name">${personality.name}</span>
+            <span class="opponent-nickname">${personality.nickname}</span>
+        `;
+        btn.addEventListener('click', () => applyPersonality(personality.id));
+        container.appendChild(btn);
+    });
+}
+
+/**
+ * Add a button for every famous game to the selection screen
+ */
+function setupLegendSelection() {
+    const container = document.getElementById('legend-buttons');
+
+    getFamousGames().forEach(famous => {
+        const btn = document.createElement('button');
+        btn.className = 'legend-btn';
+        btn.innerHTML = `
+            <span class="legend-players">${famousPlayerName(famous, 'w')} - ${famousPlayerName(famous, 'b')}</span>
+            <span class="legend-event">${famous.event} ${famous.year}</span>
+        `;
+        btn.addEventListener('click', () => startReplay(famous));
+        container.appendChild(btn);
+    });
+}
+
+/**
+ * Show a personality everywhere the page names the opponent
+ */
+function applyPersonality(id) {
+    const personality = getPersonality(id);
+    currentPersonality = personality.id;
+
+    document.querySelectorAll('.opponent-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.personality === personality.id);
+    });
+
+    document.getElementById('header-name').textContent = personality.name;
+    document.getElementById('header-nickname').textContent = personality.nickname;
+    document.getElementById('portrait-icon').textContent = personality.icon;
+    document.getElementById('opponent-name').textContent = personality.name;
+    document.getElementById('opponent-years').textContent = personality.years;
+    document.getElementById('opponent-rank').textContent = personality.title;
+    document.getElementById('opponent-player-name').textContent = personality.name;
+
+    const quote = personality.quotes[Math.floor(Math.random() * personality.quotes.length)];
+    document.getElementById('opponent-quote').textContent = `"${quote}"`;
+
+    document.getElementById('opponent-stats').innerHTML = personality.stats.map(stat => `
+        <div class="stat">
+            <span class="stat-value">${stat.value}</span>
+            <span class="stat-label">${stat.label}</span>
+        </div>
+    `).join('');
+
+    document.getElementById('opponent-traits').innerHTML = personality.traits
+        .map(trait => `<li><span class="trait-icon">${trait.icon}</span> ${trait.text}</li>`)
+        .join('');
+
+    document.getElementById('difficulty-subtitle').textContent = `How strong should ${personality.shortName} play?`;
+    document.getElementById('start-game-label').textContent = `Challenge ${personality.shortName}`;
+    document.getElementById('captured-label-opponent').textContent = `${personality.shortName}:`;
+    document.getElementById('loading-text').textContent = `${personality.shortName} is thinking...`;
+    document.getElementById('explanation-title').textContent = `Why ${personality.shortName} Played It`;
+
+    // Each personality describes its own difficulty curve
+    document.querySelectorAll('.difficulty-btn').forEach(btn => {
+        btn.querySelector('.diff-desc').textContent = getDifficulty(btn.dataset.level, personality).description;
+    });
+}
+
 /**
  * Set up event listeners
  */
@@ -118,17 +220,45 @@ function setupEventListeners() {
         });
     });
 
+    // Opening book: the opponent's own, or a Polyglot book from a local file
+    document.getElementById('builtin-book-btn').addEventListener('click', () => selectBook(null));
+    document.getElementById('book-file').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) selectBook(e.target.files[0]);
+        e.target.value = '';
+    });
+
     // Start game button
     document.getElementById('start-game-btn').addEventListener('click', startGame);
 
     // Game control buttons
     document.getElementById('new-game-btn').addEventListener('click', () => {
+        engineClient.cancel();
+        hideLoading();
         timerManager.pause();
         showDifficultySelection();
     });
 
     document.getElementById('undo-btn').addEventListener('click', undoMove);
     document.getElementById('flip-btn').addEventListener('click', flipBoard);
+    document.getElementById('record-btn').addEventListener('click', copyGameRecord);
+
+    // Replay the Legend
+    document.getElementById('replay-first-btn').addEventListener('click', () => stepReplay(0));
+    document.getElementById('replay-back-btn').addEventListener('click', () => stepReplay(replay.ply - 1));
+    document.getElementById('replay-forward-btn').addEventListener('click', () => stepReplay(replay.ply + 1));
+    document.getElementById('replay-last-btn').addEventListener('click', () => stepReplay(replay.famous.moves.length));
+    document.getElementById('takeover-white-btn').addEventListener('click', () => takeOverReplay('white'));
+    document.getElementById('takeover-black-btn').addEventListener('click', () => takeOverReplay('black'));
+    document.getElementById('replay-compare-btn').addEventListener('click', () => {
+        stopReplayGame();
+        showReplayComparison();
+    });
+    document.getElementById('replay-return-btn').addEventListener('click', returnToReplay);
+    document.addEventListener('keydown', (e) => {
+        if (!replay || replay.takeoverPly !== null) return;
+        if (e.key === 'ArrowLeft') stepReplay(replay.ply - 1);
+        if (e.key === 'ArrowRight') stepReplay(replay.ply + 1);
+    });
 
     // Modal buttons
     document.getElementById('play-again-btn').addEventListener('click', () => {
@@ -138,6 +268,7 @@ function setupEventListeners() {
 
     document.getElementById('change-difficulty-btn').addEventListener('click', () => {
         hideModal();
+        engineClient.cancel();
         timerManager.pause();
         showDifficultySelection();
     });
@@ -152,6 +283,34 @@ function setupEventListeners() {
     }
 }
 
+/**
+ * Play from a Polyglot book file, or from the opponent's own book when file is null
+ */
+async function selectBook(file) {
+    const builtinBtn = document.getElementById('builtin-book-btn');
+    const polyglotBtn = document.getElementById('polyglot-book-btn');
+    const bookName = document.getElementById('book-name');
+
+    let data = null;
+    if (file) {
+        try {
+            data = await file.arrayBuffer();
+            const book = new PolyglotBook(data);
+            bookName.textContent = `${file.name}: ${book.size} positions`;
+        } catch (error) {
+            console.error('Could not read the opening book:', error.message);
+            bookName.textContent = `Could not read ${file.name}`;
+            return;
+        }
+    } else {
+        bookName.textContent = '';
+    }
+
+    engineClient.setBook(data);
+    builtinBtn.classList.toggle('active', !data);
+    polyglotBtn.classList.toggle('active', !!data);
+}
+
 /**
  * Start a new game
  */
@@ -160,14 +319,16 @@ function startGame() {
     elements.difficultySelection.classList.add('hidden');
     elements.gameContainer.classList.remove('hidden');
 
-    // Set difficulty
-    talEngine.setDifficulty(currentDifficulty);
-    const diff = getDifficulty(currentDifficulty);
+    // Set opponent and difficulty
+    engineClient.newGame();
+    engineClient.setPersonality(currentPersonality);
+    engineClient.setDifficulty(currentDifficulty);
+    beginGameRecord();
+    const diff = getDifficulty(currentDifficulty, getPersonality(currentPersonality));
     elements.talRating.textContent = `(~${diff.rating} ELO)`;
 
     // Initialize chess.js
     game = new Chess();
-    talEngine.setGame(game);
 
     // Reset game state
     moveHistory = [];
@@ -175,6 +336,8 @@ function startGame() {
     capturedByPlayer = [];
     isGameOver = false;
     updateCapturedPieces();
+    showMoveExplanation(null);
+    updateOpening();
 
     // Initialize timer
     timerManager.init(currentTimeControl);
@@ -224,8 +387,9 @@ function initBoard() {
  * Handle drag start - only allow dragging player's pieces
  */
 function onDragStart(source, piece, position, orientation) {
-    // Don't allow moves if game is over
+    // Don't allow moves if game is over, or while stepping through a famous game
     if (game.game_over() || isGameOver) return false;
+    if (replay && replay.takeoverPly === null) return false;
 
     // Don't allow moves when it's Tal's turn
     const playerTurn = playerColor === 'white' ? 'w' : 'b';
@@ -267,6 +431,7 @@ function onDrop(source, target) {
     updateMoveHistory(move);
     updateStatus();
     updateEvaluation();
+    updateOpening();
 
     // Check for game over
     if (game.game_over()) {
@@ -287,6 +452,17 @@ function onSnapEnd() {
     board.position(game.fen());
 }
 
+/**
+ * Tal's clock, for planning his thinking time
+ * @returns {Object} - { remaining, increment } in seconds (remaining is Infinity when untimed)
+ */
+function getTalClock() {
+    return {
+        remaining: timerManager.getTime('opponent'),
+        increment: timerManager.getTimeControl().increment
+    };
+}
+
 /**
  * Make Tal's move
  */
@@ -299,23 +475,31 @@ async function makeTalMove() {
         const talColorCode = playerColor === 'white' ? 'b' : 'w';
 
         // Make sure it's Tal's turn
-        if (game.turn() !== talColorCode) {
-            hideLoading();
-            return;
-        }
+        if (game.turn() !== talColorCode) return;
+
+        // Get move from Tal engine (off the main thread)
+        const searchedGame = game;
+        const searchedFen = game.fen();
+        const moveData = await engineClient.search(game, playerColor === 'white' ? 'w' : 'b', getTalClock());
 
-        // Get move from Tal engine
-        const moveData = await talEngine.getBestMove(game, playerColor === 'white' ? 'w' : 'b');
+        // The board changed while Tal was thinking (New Game / Undo)
+        if (game !== searchedGame || game.fen() !== searchedFen) return;
 
+        // Cancelled, or the engine failed even on the main thread
         if (!moveData) {
-            hideLoading();
+            if (engineClient.lastError) showEngineError(engineClient.lastError);
             return;
         }
 
         // Make the move
         const move = game.move(moveData);
 
-        if (move) {
+        if (!move) {
+            showEngineError(`illegal move ${JSON.stringify(moveData)}`);
+        } else {
+            recordDecision(engineClient.lastDecision);
+            showMoveExplanation(engineClient.lastExplanation);
+
             // Update captured pieces
             if (move.captured) {
                 capturedByTal.push(move.captured);
@@ -332,19 +516,36 @@ async function makeTalMove() {
             updateMoveHistory(move);
             updateStatus();
             updateEvaluation();
+            updateOpening();
 
             // Check for game over
             if (game.game_over()) {
                 isGameOver = true;
                 timerManager.pause();
                 handleGameOver();
+            } else {
+                // Keep thinking on the player's time, if this level ponders
+                engineClient.startPondering(game, playerColor === 'white' ? 'w' : 'b', getTalClock());
             }
         }
     } catch (error) {
         console.error('Error in Tal move:', error);
+        showEngineError(error.message);
+    } finally {
+        // Unless a newer search has already taken over the overlay
+        if (!engineClient.isSearching()) hideLoading();
     }
+}
 
-    hideLoading();
+/**
+ * Tell the player the opponent could not move, rather than leave the game waiting on it
+ */
+function showEngineError(message) {
+    timerManager.pause();
+    const opponent = getPersonality(currentPersonality).shortName;
+    elements.gameStatus.className = 'status-display check';
+    elements.gameStatus.innerHTML = '<span class="status-text"></span>';
+    elements.gameStatus.firstChild.textContent = `${opponent} could not find a move (${message}). Undo or start a new game.`;
 }
 
 /**
@@ -356,9 +557,14 @@ function updateStatus() {
 
     let text = '';
     const isPlayerTurn = game.turn() === (playerColor === 'white' ? 'w' : 'b');
-
-    if (game.in_checkmate()) {
-        text = isPlayerTurn ? 'Checkmate! Tal wins!' : 'Checkmate! You win!';
+    const opponent = getPersonality(currentPersonality).shortName;
+
+    if (replay && replay.takeoverPly === null) {
+        const { famous, ply } = replay;
+        text = ply === 0 ? 'Start of the game' : `After ${moveNumberLabel(ply - 1)}${famous.moves[ply - 1]}`;
+        if (ply === famous.moves.length) text += ` (${famous.result})`;
+    } else if (game.in_checkmate()) {
+        text = isPlayerTurn ? `Checkmate! ${opponent} wins!` : 'Checkmate! You win!';
         status.classList.add('checkmate');
     } else if (game.in_draw()) {
         if (game.in_stalemate()) {
@@ -367,14 +573,16 @@ function updateStatus() {
             text = 'Draw by repetition';
         } else if (game.insufficient_material()) {
             text = 'Draw - Insufficient material';
+        } else if (isFiftyMoveDraw()) {
+            text = 'Draw by the 50-move rule';
         } else {
             text = 'Draw';
         }
     } else if (game.in_check()) {
-        text = isPlayerTurn ? 'You are in check!' : 'Tal is in check!';
+        text = isPlayerTurn ? 'You are in check!' : `${opponent} is in check!`;
         status.classList.add('check');
     } else {
-        text = isPlayerTurn ? 'Your turn' : 'Tal is thinking...';
+        text = isPlayerTurn ? 'Your turn' : `${opponent} is thinking...`;
     }
 
     status.innerHTML = `<span class="status-text">${text}</span>`;
@@ -409,6 +617,46 @@ function updateMoveHistory(move) {
     historyEl.scrollTop = historyEl.scrollHeight;
 }
 
+/**
+ * Explain the opponent's last move in the side panel
+ * @param {Object|null} explanation - From the engine client; null clears the panel
+ */
+function showMoveExplanation(explanation) {
+    const panel = elements.moveExplanation;
+    panel.innerHTML = '';
+
+    if (!explanation) {
+        panel.innerHTML = '<div class="no-explanation">No move to explain yet</div>';
+        return;
+    }
+
+    const move = document.createElement('span');
+    move.className = 'explanation-move';
+    move.textContent = explanation.san;
+
+    const text = document.createElement('span');
+    text.className = 'explanation-text';
+    text.textContent = describeMove(explanation, getPersonality(currentPersonality));
+
+    panel.append(move, text);
+}
+
+/**
+ * Show the opening the game is in, with the opponent's note when it is one of their lines
+ */
+function updateOpening() {
+    const opening = classifyOpening(game);
+    const note = findOpeningNote(opening, getPersonality(currentPersonality).openingNotes);
+
+    document.getElementById('opening-eco').textContent = opening ? opening.eco : '';
+    document.getElementById('opening-name').textContent = !opening ? 'Starting position' :
+        opening.variation ? `${opening.name}: ${opening.variation}` : opening.name;
+
+    const noteElement = document.getElementById('opening-note');
+    noteElement.textContent = note || '';
+    noteElement.classList.toggle('hidden', !note);
+}
+
 /**
  * Update captured pieces display
  */
@@ -430,49 +678,41 @@ function updateCapturedPieces() {
  * Update position evaluation display
  */
 function updateEvaluation() {
-    // Simple material count evaluation
-    const boardState = game.board();
-    const pieceValues = { p: 1, n: 3, b: 3.2, r: 5, q: 9 };
-
-    let whiteScore = 0;
-    let blackScore = 0;
-
-    boardState.forEach(row => {
-        row.forEach(piece => {
-            if (piece) {
-                const value = pieceValues[piece.type] || 0;
-                if (piece.color === 'w') {
-                    whiteScore += value;
-                } else {
-                    blackScore += value;
-                }
-            }
-        });
-    });
+    // Positional evaluation in pawns from White's point of view
+    let diff = evaluatePosition(game.fen()) / 100;
+    if (game.in_checkmate()) {
+        diff = game.turn() === 'w' ? -99 : 99;
+    } else if (game.in_draw()) {
+        diff = 0;
+    }
 
-    const diff = whiteScore - blackScore;
     const evalPercent = 50 + (diff * 3); // Scale for visual
     const clampedPercent = Math.max(5, Math.min(95, evalPercent));
 
     elements.evalWhite.style.height = `${clampedPercent}%`;
 
     const sign = diff > 0 ? '+' : '';
-    elements.evalText.textContent = `${sign}${diff.toFixed(1)}`;
+    elements.evalText.textContent = Math.abs(diff) >= 99 ? (diff > 0 ? '1-0' : '0-1') : `${sign}${diff.toFixed(1)}`;
 }
 
 /**
  * Handle game over
  */
 function handleGameOver() {
+    if (replay) {
+        showReplayComparison();
+    }
+
     const isPlayerTurn = game.turn() === (playerColor === 'white' ? 'w' : 'b');
+    const personality = getPersonality(currentPersonality);
 
     if (game.in_checkmate()) {
         if (isPlayerTurn) {
             // Player lost
-            showModal('Checkmate!', 'Mikhail Tal has won the game. "There are two types of sacrifices: correct ones, and mine."', '♚');
+            showModal('Checkmate!', personality.messages.win, personality.icon);
         } else {
             // Player won
-            showModal('Victory!', 'Congratulations! You have defeated the Magician from Riga!', '🏆');
+            showModal('Victory!', personality.messages.defeated, '🏆');
         }
     } else if (game.in_draw()) {
         let message = 'The game is drawn.';
@@ -482,16 +722,41 @@ function handleGameOver() {
             message = 'Draw by threefold repetition.';
         } else if (game.insufficient_material()) {
             message = 'Draw due to insufficient material.';
+        } else if (isFiftyMoveDraw()) {
+            message = 'Draw by the 50-move rule: fifty moves each without a capture or a pawn move.';
         }
         showModal('Draw!', message, '🤝');
     }
 }
 
+/**
+ * Has the game reached fifty moves each without a capture or pawn move?
+ * chess.js counts this as a draw but has no query for it
+ */
+function isFiftyMoveDraw() {
+    const halfMoveClock = parseInt(game.fen().split(' ')[4], 10);
+    return halfMoveClock >= 100;
+}
+
 /**
  * Undo the last move (both player and Tal)
  */
 function undoMove() {
-    if (moveHistory.length < 2) return;
+    // In a famous game, only the moves played since taking over can be taken back
+    const firstUndoablePly = !replay ? 0 : replay.takeoverPly !== null ? replay.takeoverPly : replay.ply;
+
+    // Tal is still thinking: drop the search and take back just the player's move
+    if (engineClient.isSearching()) {
+        if (moveHistory.length - 1 < firstUndoablePly) return;
+        engineClient.cancel();
+        hideLoading();
+        undoPlayerMove();
+        timerManager.start('player');
+        refreshPosition();
+        return;
+    }
+
+    if (moveHistory.length - 2 < firstUndoablePly) return;
 
     // Undo Tal's move
     const talMove = game.undo();
@@ -500,18 +765,31 @@ function undoMove() {
     }
     moveHistory.pop();
 
-    // Undo player's move
+    undoPlayerMove();
+    refreshPosition();
+}
+
+/**
+ * Take back the player's last move
+ */
+function undoPlayerMove() {
     const playerMove = game.undo();
     if (playerMove && playerMove.captured) {
         capturedByPlayer.pop();
     }
     moveHistory.pop();
+}
 
-    // Update board and UI
+/**
+ * Redraw the board and side panel after the position jumps (an undo, or a step through a famous game)
+ */
+function refreshPosition() {
     board.position(game.fen());
     updateStatus();
     updateCapturedPieces();
     updateEvaluation();
+    updateOpening();
+    showMoveExplanation(null);
 
     // Rebuild move history display
     const moves = [...moveHistory];
@@ -524,6 +802,255 @@ function undoMove() {
     }
 }
 
+/**
+ * Seed the engine for a new game and start recording how it chooses its moves
+ */
+function beginGameRecord() {
+    const seed = createSeed();
+    engineClient.setSeed(seed);
+
+    gameRecord = {
+        seed,
+        personality: currentPersonality,
+        difficulty: currentDifficulty,
+        playerColor: playerColor === 'white' ? 'w' : 'b',
+        decisions: []
+    };
+}
+
+/**
+ * Keep the engine's decision for a move, replacing any made for this ply before an undo
+ */
+function recordDecision(decision) {
+    if (!gameRecord || !decision) return;
+
+    gameRecord.decisions = gameRecord.decisions
+        .filter(d => d.ply < decision.ply)
+        .concat(decision);
+}
+
+/**
+ * The current game as tools/replay.js reads it
+ */
+function getGameRecord() {
+    const moves = game.history();
+    return {
+        ...gameRecord,
+        moves,
+        decisions: gameRecord.decisions.filter(d => d.ply < moves.length)
+    };
+}
+
+/**
+ * Copy the game record to the clipboard, to attach to a bug report
+ */
+async function copyGameRecord() {
+    if (!gameRecord) return;
+
+    const json = JSON.stringify(getGameRecord());
+    try {
+        if (!navigator.clipboard) throw new Error('no clipboard access');
+        await navigator.clipboard.writeText(json);
+        showRecordLabel('Copied');
+    } catch (error) {
+        console.warn('Could not copy the game record:', error.message);
+        showRecordLabel('Copy failed');
+        // Still let the player copy it by hand
+        window.prompt('Could not copy the game record; copy it from here:', json);
+    }
+}
+
+/**
+ * Say on the Copy Record button how the copy went, for a moment
+ */
+function showRecordLabel(text) {
+    const label = document.getElementById('record-label');
+    label.textContent = text;
+    clearTimeout(recordLabelTimer);
+    recordLabelTimer = setTimeout(() => { label.textContent = 'Copy Record'; }, RECORD_LABEL_MS);
+}
+
+/**
+ * Open a famous game at its start position, to step through it
+ */
+function startReplay(famous) {
+    replay = { famous, ply: 0, takeoverPly: null };
+
+    elements.difficultySelection.classList.add('hidden');
+    elements.gameContainer.classList.remove('hidden');
+    document.getElementById('replay-section').classList.remove('hidden');
+    document.getElementById('replay-title').textContent =
+        `${famous.white} - ${famous.black}, ${famous.event} ${famous.year}`;
+
+    // Seen from Tal's side until the player takes one over
+    playerColor = famous.talColor === 'w' ? 'white' : 'black';
+    engineClient.newGame();
+    timerManager.init('unlimited');
+    elements.talRating.textContent = '';
+    isGameOver = false;
+    gameStarted = true;
+
+    initBoard();
+    showReplayControls();
+    showReplayPosition();
+}
+
+/**
+ * Step to a position of the famous game
+ * @param {number} ply - Moves of the game to have played
+ */
+function stepReplay(ply) {
+    if (!replay || replay.takeoverPly !== null) return;
+
+    replay.ply = Math.max(0, Math.min(replay.famous.moves.length, ply));
+    showReplayPosition();
+}
+
+/**
+ * Set the board and side panel to the famous game after replay.ply moves
+ */
+function showReplayPosition() {
+    const { famous, ply } = replay;
+    game = new Chess();
+    famous.moves.slice(0, ply).forEach(san => game.move(san));
+
+    const playerCode = playerColor === 'white' ? 'w' : 'b';
+    moveHistory = game.history({ verbose: true });
+    capturedByPlayer = moveHistory.filter(m => m.captured && m.color === playerCode).map(m => m.captured);
+    capturedByTal = moveHistory.filter(m => m.captured && m.color !== playerCode).map(m => m.captured);
+    refreshPosition();
+
+    document.getElementById('replay-commentary').textContent = getReplayCommentary(famous, ply) || '';
+    document.getElementById('replay-first-btn').disabled = ply === 0;
+    document.getElementById('replay-back-btn').disabled = ply === 0;
+    document.getElementById('replay-forward-btn').disabled = ply === famous.moves.length;
+    document.getElementById('replay-last-btn').disabled = ply === famous.moves.length;
+}
+
+/**
+ * Show the step buttons while stepping through the game, the compare buttons once the player has taken over
+ */
+function showReplayControls() {
+    const playing = replay.takeoverPly !== null;
+    document.getElementById('replay-steps').classList.toggle('hidden', playing);
+    document.getElementById('replay-takeover').classList.toggle('hidden', playing);
+    document.getElementById('replay-playing').classList.toggle('hidden', !playing);
+    document.getElementById('replay-comparison').classList.add('hidden');
+}
+
+/**
+ * Take over one side of the famous game from the current position, against the engine
+ * @param {string} color - 'white' or 'black'
+ */
+function takeOverReplay(color) {
+    replay.takeoverPly = replay.ply;
+    playerColor = color;
+
+    engineClient.newGame();
+    engineClient.setPersonality(currentPersonality);
+    engineClient.setDifficulty(currentDifficulty);
+    beginGameRecord();
+    const diff = getDifficulty(currentDifficulty, getPersonality(currentPersonality));
+    elements.talRating.textContent = `(~${diff.rating} ELO)`;
+
+    hideLoading();
+    isGameOver = false;
+    board.orientation(playerColor);
+    showReplayControls();
+    showReplayPosition();
+
+    const side = color === 'white' ? replay.famous.white : replay.famous.black;
+    document.getElementById('replay-commentary').textContent =
+        `You are ${side} from move ${Math.floor(replay.ply / 2) + 1}.`;
+
+    timerManager.init(currentTimeControl);
+
+    if (game.game_over()) {
+        isGameOver = true;
+        handleGameOver();
+    } else if (game.turn() !== (playerColor === 'white' ? 'w' : 'b')) {
+        timerManager.start('opponent');
+        setTimeout(() => makeTalMove(), 500);
+    } else {
+        timerManager.start('player');
+    }
+}
+
+/**
+ * Stop the game taken over from a famous game, leaving the position on the board
+ */
+function stopReplayGame() {
+    engineClient.cancel();
+    hideLoading();
+    timerManager.pause();
+    isGameOver = true;
+}
+
+/**
+ * Go back to stepping through the famous game, at the move the player took over from
+ */
+function returnToReplay() {
+    stopReplayGame();
+    replay.ply = replay.takeoverPly;
+    replay.takeoverPly = null;
+    isGameOver = false;
+
+    playerColor = replay.famous.talColor === 'w' ? 'white' : 'black';
+    board.orientation(playerColor);
+    timerManager.init('unlimited');
+    elements.talRating.textContent = '';
+    showReplayControls();
+    showReplayPosition();
+}
+
+/**
+ * Set the game played since taking over against the famous game, move by move
+ */
+function showReplayComparison() {
+    const { famous, takeoverPly } = replay;
+    const comparison = compareWithFamousGame(famous, takeoverPly, game.history(), playerColor === 'white' ? 'w' : 'b');
+    const panel = document.getElementById('replay-comparison');
+    panel.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'comparison-summary';
+    summary.textContent = describeComparison(comparison, famous);
+    panel.appendChild(summary);
+
+    const header = document.createElement('div');
+    header.className = 'comparison-row header';
+    header.innerHTML = `
+        <span></span>
+        <span>Your game</span>
+        <span>${famousPlayerName(famous, 'w')} - ${famousPlayerName(famous, 'b')}</span>
+    `;
+    panel.appendChild(header);
+
+    comparison.rows.forEach(({ ply, played, actual }) => {
+        const row = document.createElement('div');
+        row.className = 'comparison-row';
+        row.innerHTML = `
+            <span class="move-number">${moveNumberLabel(ply)}</span>
+            <span class="${played === actual ? 'match' : 'differs'}">${played || ''}</span>
+            <span>${actual || ''}</span>
+        `;
+        panel.appendChild(row);
+    });
+
+    panel.classList.remove('hidden');
+}
+
+/**
+ * Leave Replay the Legend, giving back the colour chosen on the selection screen
+ */
+function endReplay() {
+    if (!replay) return;
+
+    replay = null;
+    document.getElementById('replay-section').classList.add('hidden');
+    playerColor = document.querySelector('.color-btn.active').dataset.color;
+}
+
 /**
  * Flip the board orientation
  */
@@ -535,8 +1062,17 @@ function flipBoard() {
  * Reset the game with same settings
  */
 function resetGame() {
+    // Play the famous game again from the same move
+    if (replay) {
+        replay.ply = replay.takeoverPly;
+        takeOverReplay(playerColor);
+        return;
+    }
+
+    engineClient.newGame();
+    beginGameRecord();
+    hideLoading();
     game = new Chess();
-    talEngine.setGame(game);
     moveHistory = [];
     capturedByTal = [];
     capturedByPlayer = [];
@@ -551,6 +1087,8 @@ function resetGame() {
     updateStatus();
     updateCapturedPieces();
     updateEvaluation();
+    updateOpening();
+    showMoveExplanation(null);
     elements.moveHistory.innerHTML = '<div class="no-moves">No moves yet</div>';
 
     if (playerColor === 'black') {
@@ -565,6 +1103,7 @@ function resetGame() {
  * Show difficulty selection screen
  */
 function showDifficultySelection() {
+    endReplay();
     elements.gameContainer.classList.add('hidden');
     elements.difficultySelection.classList.remove('hidden');
     gameStarted = false;
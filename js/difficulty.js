@@ -11,7 +11,11 @@ const DIFFICULTY_LEVELS = {
         thinkTime: 500,
         talStyleIntensity: 0.2,  // 20% chance of Tal-style moves
         mistakeRate: 0.3,        // 30% chance of suboptimal move
+        centipawnLoss: 300,      // A mistake costs 3 pawns on average
+        ponder: false,           // Think on the player's time
         sacrificeThreshold: -5,  // Will sacrifice if eval drop < 5 pawns
+        bookDepth: 6,            // Plays from the opening book for this many half-moves
+        bookVariety: 1,          // 1 plays book moves as often as their weights say, 0 only the main line
         description: 'Learning the style',
         icon: '🌱'
     },
@@ -22,7 +26,11 @@ const DIFFICULTY_LEVELS = {
         thinkTime: 800,
         talStyleIntensity: 0.4,
         mistakeRate: 0.15,
+        centipawnLoss: 180,
+        ponder: false,
         sacrificeThreshold: -3,
+        bookDepth: 10,
+        bookVariety: 1,
         description: 'Showing some tricks',
         icon: '🎯'
     },
@@ -33,7 +41,11 @@ const DIFFICULTY_LEVELS = {
         thinkTime: 1200,
         talStyleIntensity: 0.6,
         mistakeRate: 0.05,
+        centipawnLoss: 110,
+        ponder: true,
         sacrificeThreshold: -2,
+        bookDepth: 16,
+        bookVariety: 0.8,
         description: 'Aggressive play',
         icon: '⚔️'
     },
@@ -44,7 +56,11 @@ const DIFFICULTY_LEVELS = {
         thinkTime: 2000,
         talStyleIntensity: 0.8,
         mistakeRate: 0.02,
+        centipawnLoss: 70,
+        ponder: true,
         sacrificeThreshold: -1.5,
+        bookDepth: 24,
+        bookVariety: 0.6,
         description: 'Full tactical power',
         icon: '👑'
     },
@@ -55,7 +71,11 @@ const DIFFICULTY_LEVELS = {
         thinkTime: 3000,
         talStyleIntensity: 1.0,  // Maximum Tal style
         mistakeRate: 0,          // No mistakes
+        centipawnLoss: 40,
+        ponder: true,
         sacrificeThreshold: -1,   // Will sacrifice for slight compensation
+        bookDepth: 40,
+        bookVariety: 0.5,
         description: 'Prime Tal unleashed',
         icon: '🔮'
     }
@@ -82,48 +102,74 @@ const TAL_STYLE_MODIFIERS = {
     // Position preference
     openFiles: 30,         // Preference for open files/diagonals
     kingUnsafe: 70,        // Bonus when enemy king is exposed
+    planMove: 60,          // Bonus for following a recognized middlegame plan
+
+    // Draws
+    contempt: 100,         // A draw is worth this much less than equality: Tal plays on unless clearly worse
 };
 
+// Even a beginner's mistake shouldn't cost more than this (in centipawns)
+const MAX_MISTAKE_LOSS = 1000;
+
 /**
  * Get difficulty settings by level name
+ * @param {Object|null} personality - Profile from PERSONALITIES whose difficulty curve and
+ *                                    style weights apply; without one the levels are Tal's
  */
-function getDifficulty(level) {
-    return DIFFICULTY_LEVELS[level] || DIFFICULTY_LEVELS.intermediate;
+function getDifficulty(level, personality = null) {
+    const base = DIFFICULTY_LEVELS[level] || DIFFICULTY_LEVELS.intermediate;
+    if (!personality) return base;
+
+    const levelKey = DIFFICULTY_LEVELS[level] ? level : 'intermediate';
+    return {
+        ...base,
+        ...(personality.difficulty[levelKey] || {}),
+        styleWeights: personality.styleWeights
+    };
 }
 
 /**
- * Calculate Tal-style score adjustment for a move
+ * Calculate the style score adjustment for a move
  * @param {Object} move - Chess.js move object
  * @param {Object} game - Chess.js game instance
- * @param {Object} difficulty - Current difficulty settings
+ * @param {Object} difficulty - Current difficulty settings; their styleWeights (Tal's by default) set the style
  * @returns {number} - Score adjustment in centipawns
  */
-function calculateTalStyleBonus(move, game, difficulty) {
-    let bonus = 0;
-    const intensity = difficulty.talStyleIntensity;
+function calculateStyleBonus(move, game, difficulty) {
+    const parts = calculateStyleBreakdown(move, game, difficulty);
+    return Object.values(parts).reduce((sum, score) => sum + score, 0);
+}
 
-    // Check if move is a sacrifice (captures smaller piece with bigger piece)
-    if (move.captured) {
-        const pieceValues = { p: 1, n: 3, b: 3, r: 5, q: 9 };
-        const capturedValue = pieceValues[move.captured] || 0;
-        const movingValue = pieceValues[move.piece] || 0;
+/**
+ * The style adjustment for a move, one part per style weight (in centipawns):
+ * { sacrifice, check, centerControl, pieceActivity, passivePiece, defensiveMove, simplification,
+ *   openFiles, kingUnsafe, planMove, kingAttack }
+ */
+function calculateStyleBreakdown(move, game, difficulty) {
+    const intensity = difficulty.talStyleIntensity;
+    const weights = difficulty.styleWeights || TAL_STYLE_MODIFIERS;
+    const parts = {
+        sacrifice: 0, check: 0, centerControl: 0, pieceActivity: 0, passivePiece: 0, defensiveMove: 0,
+        simplification: 0, openFiles: 0, kingUnsafe: 0, planMove: 0, kingAttack: 0
+    };
 
-        if (movingValue > capturedValue) {
-            // This might be a sacrifice!
-            bonus += TAL_STYLE_MODIFIERS.sacrifice * intensity;
-        }
+    // Check if move is a sacrifice: the exchange on the target square really loses material,
+    // but no more than this level is willing to give up
+    const materialLoss = -staticExchangeEvaluation(game, move) / 100;
+    if (materialLoss > 0 && materialLoss <= Math.abs(difficulty.sacrificeThreshold)) {
+        parts.sacrifice = weights.sacrifice * intensity;
     }
 
     // Bonus for checks
     if (move.san && move.san.includes('+')) {
-        bonus += TAL_STYLE_MODIFIERS.check * intensity;
+        parts.check = weights.check * intensity;
     }
 
     // Bonus for central pawn moves
     if (move.piece === 'p') {
         const centralFiles = ['d', 'e'];
         if (centralFiles.includes(move.to[0])) {
-            bonus += TAL_STYLE_MODIFIERS.centerControl * intensity;
+            parts.centerControl = weights.centerControl * intensity;
         }
     }
 
@@ -131,7 +177,7 @@ function calculateTalStyleBonus(move, game, difficulty) {
     const moveCount = game.history().length;
     if (moveCount < 20) {
         if (['n', 'b'].includes(move.piece) && move.from[1] === '1' || move.from[1] === '8') {
-            bonus += TAL_STYLE_MODIFIERS.pieceActivity * intensity;
+            parts.pieceActivity = weights.pieceActivity * intensity;
         }
     }
 
@@ -142,21 +188,49 @@ function calculateTalStyleBonus(move, game, difficulty) {
 
     if ((isWhite && toRank < fromRank) || (!isWhite && toRank > fromRank)) {
         if (!move.captured) {
-            bonus += TAL_STYLE_MODIFIERS.passivePiece * intensity;
+            parts.passivePiece = weights.passivePiece * intensity;
         }
     }
 
+    // Purely defensive moves: a penalty for Tal, prophylaxis for others
+    if (isDefensiveMove(move, game)) {
+        parts.defensiveMove = weights.defensiveMove * intensity;
+    }
+
+    // Trading pieces when not winning
+    if (isSimplifyingTrade(move, game)) {
+        parts.simplification = weights.simplification * intensity;
+    }
+
+    // Preference for rooks and queens on open files, bishops and queens on open diagonals
+    parts.openFiles = weights.openFiles * intensity * evaluateOpenLines(move, game);
+
+    // Bonus for opening up the enemy king, or joining the attack once it is exposed
+    parts.kingUnsafe = weights.kingUnsafe * intensity * evaluateKingExposure(move, game);
+
+    // Bonus for pawn storms, breaks, sacrifices and outposts that fit the position
+    parts.planMove = weights.planMove * intensity * evaluatePlanMove(move, game);
+
     // Bonus for moves toward enemy king
     const enemyKingSquare = findKingSquare(game, move.color === 'w' ? 'b' : 'w');
     if (enemyKingSquare) {
         const distBefore = squareDistance(move.from, enemyKingSquare);
         const distAfter = squareDistance(move.to, enemyKingSquare);
         if (distAfter < distBefore) {
-            bonus += TAL_STYLE_MODIFIERS.kingAttack * intensity * (distBefore - distAfter);
+            parts.kingAttack = weights.kingAttack * intensity * (distBefore - distAfter);
         }
     }
 
-    return bonus;
+    return parts;
+}
+
+/**
+ * How much worse than equality a draw is for the engine (in centipawns): the contempt style weight,
+ * scaled like the rest of the style by talStyleIntensity
+ */
+function getContempt(difficulty) {
+    const weights = difficulty.styleWeights || TAL_STYLE_MODIFIERS;
+    return Math.round((weights.contempt || 0) * difficulty.talStyleIntensity);
 }
 
 /**
@@ -204,9 +278,21 @@ function isComplexPosition(game) {
 
 /**
  * Should make intentional mistake based on difficulty
+ * @param {Function} random - The engine's seeded generator
+ */
+function shouldMakeMistake(difficulty, random) {
+    return random() < difficulty.mistakeRate;
+}
+
+/**
+ * How much a mistake at this level should cost, drawn from an exponential distribution
+ * whose mean is the level's centipawnLoss: mostly small slips, now and then a real blunder
+ * @param {Function} random - The engine's seeded generator
+ * @returns {number} - Target loss in centipawns
  */
-function shouldMakeMistake(difficulty) {
-    return Math.random() < difficulty.mistakeRate;
+function sampleCentipawnLoss(difficulty, random) {
+    const loss = -difficulty.centipawnLoss * Math.log(1 - random());
+    return Math.min(loss, MAX_MISTAKE_LOSS);
 }
 
 // Export for use in other files
@@ -215,7 +301,14 @@ if (typeof module !== 'undefined' && module.exports) {
         DIFFICULTY_LEVELS,
         TAL_STYLE_MODIFIERS,
         getDifficulty,
-        calculateTalStyleBonus,
-        shouldMakeMistake
+        calculateStyleBonus,
+        calculateStyleBreakdown,
+        getContempt,
+        findKingSquare,
+        squareDistance,
+        isComplexPosition,
+        shouldMakeMistake,
+        sampleCentipawnLoss,
+        MAX_MISTAKE_LOSS
     };
 }
@@ -0,0 +1,65 @@
+/**
+ * Opening Classification for Tal Chess
+ * Names the opening of a game from the ECO table, by position, so move orders that transpose
+ * into a known line are recognised as that line
+ */
+
+/**
+ * ECO table keyed by Zobrist key, built on first use
+ */
+let ecoIndex = null;
+
+function getEcoIndex() {
+    if (!ecoIndex) {
+        ecoIndex = new Map(ECO_OPENINGS.map(([position, eco, fullName]) => {
+            const [name, variation] = fullName.split(/: (.*)/);
+            return [computeZobristKey(position), { eco, name, variation: variation || null }];
+        }));
+    }
+    return ecoIndex;
+}
+
+/**
+ * Classify a game's opening: the last position of the game found in the ECO table
+ * @param {Object} game - Chess.js game instance
+ * @returns {Object|null} - { eco, name, variation, ply }, ply being where the line was last recognised;
+ *                          null before any named position
+ */
+function classifyOpening(game) {
+    const index = getEcoIndex();
+    const replay = new Chess();
+    let opening = null;
+
+    game.history().forEach((san, i) => {
+        replay.move(san);
+        const match = index.get(computeZobristKey(replay.fen()));
+        if (match) {
+            opening = { ...match, ply: i + 1 };
+        }
+    });
+
+    return opening;
+}
+
+/**
+ * The note a personality keeps for an opening, if it is one of their lines
+ * The most specific line wins, so the English Attack's note beats the Najdorf's
+ * @param {Object|null} opening - From classifyOpening
+ * @param {Object|null} notes - { 'Opening: Variation' prefix: note }, as in a personality's openingNotes
+ * @returns {string|null}
+ */
+function findOpeningNote(opening, notes) {
+    if (!opening || !notes) return null;
+
+    const fullName = opening.variation ? `${opening.name}: ${opening.variation}` : opening.name;
+    const line = Object.keys(notes)
+        .filter(prefix => fullName.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return line ? notes[line] : null;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { classifyOpening, findOpeningNote };
+}
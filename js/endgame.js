@@ -0,0 +1,350 @@
+/**
+ * Endgame Knowledge for Tal Chess
+ * Recognizes the basic won and drawn material balances against a bare king and scores them
+ * so the search drives toward the mate (or settles for the draw) long before it can see it
+ */
+
+// Won, but no mate in sight yet - far above any positional score, far below MATE_THRESHOLD
+const KNOWN_WIN = 10000;
+
+// Build the KPK bitbase on first use; with it off, KPK falls back to the rule of the square
+const USE_KPK_BITBASE = true;
+
+// Mop-up weights (in centipawns) for herding a bare king
+const PUSH_TO_EDGE = 20;
+const PUSH_TO_CORNER = 40;
+const PUSH_CLOSE = 10;
+const PAWN_ADVANCE = 20;
+
+const KPK_UNKNOWN = 0;
+const KPK_DRAW = 1;
+const KPK_WIN = 2;
+const KPK_INVALID = 3;
+
+let kpkBitbase = null;
+
+/**
+ * Score a recognized endgame
+ * @param {Array} board - Rows like game.board() (rank 8 first)
+ * @param {string} turn - Side to move ('w' or 'b')
+ * @returns {number|null} - Score in centipawns from White's point of view,
+ *                          or null if the material is not a known ending
+ */
+function evaluateEndgame(board, turn) {
+    const material = collectMaterial(board);
+
+    for (const [strong, weak] of [['w', 'b'], ['b', 'w']]) {
+        const score = evaluateAgainstBareKing(material, strong, weak, turn);
+        if (score !== null) {
+            return strong === 'w' ? score : -score;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Score for the strong side when the weak side has nothing but its king
+ * @returns {number|null} - From the strong side's point of view
+ */
+function evaluateAgainstBareKing(material, strong, weak, turn) {
+    const own = material[strong];
+    if (material[weak].count > 0 || !own.king || !material[weak].king) return null;
+
+    const { p, n, b, r, q } = own.pieces;
+    const weakKing = material[weak].king;
+
+    // Bare kings, a lone minor piece, two knights or same-colored bishops can't force mate
+    if (p.length === 0) {
+        const bishopColors = new Set(b.map(([row, col]) => (row + col) % 2));
+        const canMate = q.length > 0 || r.length > 0 || bishopColors.size === 2 ||
+            (b.length > 0 && n.length > 0) || n.length >= 3;
+        if (!canMate) return 0;
+
+        // With bishop and knight only a corner of the bishop's color is a mating corner,
+        // so any other edge is worth nothing
+        if (q.length === 0 && r.length === 0 && bishopColors.size === 1) {
+            const parity = [...bishopColors][0];
+            const corners = [[0, 0], [0, 7], [7, 0], [7, 7]].filter(([row, col]) => (row + col) % 2 === parity);
+            const cornerDistance = Math.min(...corners.map(([row, col]) =>
+                Math.abs(weakKing[0] - row) + Math.abs(weakKing[1] - col)
+            ));
+            return KNOWN_WIN + materialValue(own.pieces) + PUSH_TO_CORNER * (14 - cornerDistance) +
+                PUSH_CLOSE * (7 - kingDistance(own.king, weakKing));
+        }
+
+        return KNOWN_WIN + materialValue(own.pieces) + mopUp(own.king, weakKing);
+    }
+
+    if (own.count === 1) {
+        return evaluateKPK(own.king, weakKing, p[0], strong, turn);
+    }
+
+    if (own.count === b.length + p.length && b.length === 1 && isWrongBishop(b[0], p, weakKing, strong)) {
+        return 0;
+    }
+
+    // A major piece plus pawns against a bare king wins without any special technique
+    if (q.length > 0 || r.length > 0) {
+        return KNOWN_WIN + materialValue(own.pieces) + mopUp(own.king, weakKing);
+    }
+
+    return null;
+}
+
+/**
+ * King and pawn against king: exact with the bitbase, the rule of the square without it
+ * @returns {number|null} - From the strong side's point of view
+ */
+function evaluateKPK(strongKing, weakKing, pawn, strong, turn) {
+    // Normalize to White with the pawn on files a-d, squares as rank * 8 + file
+    const toSquare = ([row, col]) => {
+        const rank = strong === 'w' ? 7 - row : row;
+        const file = pawn[1] > 3 ? 7 - col : col;
+        return rank * 8 + file;
+    };
+    const wk = toSquare(strongKing);
+    const bk = toSquare(weakKing);
+    const psq = toSquare(pawn);
+    const strongToMove = turn === strong;
+
+    let result;
+    if (USE_KPK_BITBASE) {
+        if (!kpkBitbase) kpkBitbase = buildKPKBitbase();
+        result = kpkBitbase[kpkIndex(strongToMove, wk, bk, psq)];
+    } else {
+        result = ruleOfTheSquare(wk, bk, psq, strongToMove);
+    }
+
+    if (result === KPK_WIN) {
+        return KNOWN_WIN + EG_PIECE_VALUES.p + PAWN_ADVANCE * Math.floor(psq / 8);
+    }
+    return result === KPK_DRAW ? 0 : null;
+}
+
+/**
+ * KPK without the bitbase: a pawn the king can't catch wins, a rook pawn with the king in front draws
+ * @returns {number} - KPK_WIN, KPK_DRAW or KPK_UNKNOWN
+ */
+function ruleOfTheSquare(wk, bk, psq, strongToMove) {
+    const pawnRank = Math.floor(psq / 8);
+    const pawnFile = psq % 8;
+    const promotion = 56 + pawnFile;
+
+    const pawnMoves = Math.min(5, 7 - pawnRank) + (strongToMove ? 0 : 1);
+    const ownKingInTheWay = wk % 8 === pawnFile && wk > psq;
+    if (!ownKingInTheWay && squareDistance64(bk, promotion) > pawnMoves) {
+        return KPK_WIN;
+    }
+
+    if (pawnFile === 0 && bk % 8 <= 1 && bk > psq) {
+        return KPK_DRAW;
+    }
+
+    return KPK_UNKNOWN;
+}
+
+/**
+ * Bishop and rook pawns whose queening square the bishop can't cover, with the defending king in that corner
+ */
+function isWrongBishop(bishop, pawns, weakKing, strong) {
+    const file = pawns[0][1];
+    if ((file !== 0 && file !== 7) || pawns.some(([, col]) => col !== file)) return false;
+
+    const promotion = [strong === 'w' ? 0 : 7, file];
+    const sameColor = (promotion[0] + promotion[1]) % 2 === (bishop[0] + bishop[1]) % 2;
+
+    return !sameColor && kingDistance(weakKing, promotion) <= 1;
+}
+
+/**
+ * Retrograde analysis of every KPK position with White holding the pawn on files a-d
+ * @returns {Uint8Array} - KPK_WIN or KPK_DRAW for each kpkIndex
+ */
+function buildKPKBitbase() {
+    const size = 2 * 64 * 64 * 24;
+    const results = new Uint8Array(size);
+    const positions = [];
+
+    for (let index = 0; index < size; index++) {
+        const position = decodeKPKIndex(index);
+        results[index] = classifyKPK(position);
+        if (results[index] === KPK_UNKNOWN) positions.push(index);
+    }
+
+    // Keep resolving positions from their successors until nothing changes
+    let unresolved = positions;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const stillUnknown = [];
+
+        for (const index of unresolved) {
+            const result = resolveKPK(decodeKPKIndex(index), results);
+            if (result === KPK_UNKNOWN) {
+                stillUnknown.push(index);
+            } else {
+                results[index] = result;
+                changed = true;
+            }
+        }
+
+        unresolved = stillUnknown;
+    }
+
+    // Whatever White can't force is a draw
+    unresolved.forEach(index => { results[index] = KPK_DRAW; });
+    return results;
+}
+
+/**
+ * Index of a normalized KPK position (pawn on ranks 2-7, files a-d)
+ */
+function kpkIndex(whiteToMove, wk, bk, psq) {
+    const pawnIndex = (Math.floor(psq / 8) - 1) * 4 + psq % 8;
+    return ((((whiteToMove ? 1 : 0) * 64 + wk) * 64 + bk) * 24) + pawnIndex;
+}
+
+function decodeKPKIndex(index) {
+    const pawnIndex = index % 24;
+    const bk = Math.floor(index / 24) % 64;
+    const wk = Math.floor(index / (24 * 64)) % 64;
+    const whiteToMove = index >= 24 * 64 * 64;
+    const psq = (Math.floor(pawnIndex / 4) + 1) * 8 + pawnIndex % 4;
+    return { whiteToMove, wk, bk, psq };
+}
+
+/**
+ * Results that follow from the position alone: illegal setups, safe promotions, captured pawns, stalemates
+ */
+function classifyKPK({ whiteToMove, wk, bk, psq }) {
+    if (squareDistance64(wk, bk) <= 1 || wk === psq || bk === psq) return KPK_INVALID;
+    if (whiteToMove && pawnAttacks(psq, bk)) return KPK_INVALID;
+
+    if (whiteToMove) {
+        const promotion = psq + 8;
+        if (psq >= 48 && wk !== promotion && bk !== promotion &&
+            (squareDistance64(bk, promotion) > 1 || squareDistance64(wk, promotion) === 1)) {
+            return KPK_WIN;
+        }
+        return KPK_UNKNOWN;
+    }
+
+    // Black takes an undefended pawn
+    if (squareDistance64(bk, psq) === 1 && squareDistance64(wk, psq) > 1) return KPK_DRAW;
+
+    if (blackKingMoves(wk, bk, psq).length === 0) return KPK_DRAW;
+
+    return KPK_UNKNOWN;
+}
+
+/**
+ * Result from the successors: White needs one winning move, Black needs one drawing move
+ */
+function resolveKPK({ whiteToMove, wk, bk, psq }, results) {
+    if (whiteToMove) {
+        const successors = kingMoves64(wk)
+            .filter(sq => sq !== psq && squareDistance64(sq, bk) > 1)
+            .map(sq => kpkIndex(false, sq, bk, psq));
+
+        const ahead = psq + 8;
+        if (psq < 48 && ahead !== wk && ahead !== bk) {
+            successors.push(kpkIndex(false, wk, bk, ahead));
+            if (psq < 16 && ahead + 8 !== wk && ahead + 8 !== bk) {
+                successors.push(kpkIndex(false, wk, bk, ahead + 8));
+            }
+        }
+
+        const outcomes = successors.map(index => results[index]);
+        if (outcomes.includes(KPK_WIN)) return KPK_WIN;
+        return outcomes.every(result => result === KPK_DRAW) ? KPK_DRAW : KPK_UNKNOWN;
+    }
+
+    const outcomes = blackKingMoves(wk, bk, psq).map(sq => results[kpkIndex(true, wk, sq, psq)]);
+    if (outcomes.includes(KPK_DRAW)) return KPK_DRAW;
+    return outcomes.every(result => result === KPK_WIN) ? KPK_WIN : KPK_UNKNOWN;
+}
+
+/**
+ * Squares the black king can step to without capturing the pawn
+ */
+function blackKingMoves(wk, bk, psq) {
+    return kingMoves64(bk).filter(sq =>
+        sq !== psq && squareDistance64(sq, wk) > 1 && !pawnAttacks(psq, sq)
+    );
+}
+
+function pawnAttacks(psq, sq) {
+    return Math.floor(sq / 8) === Math.floor(psq / 8) + 1 && Math.abs(sq % 8 - psq % 8) === 1;
+}
+
+function kingMoves64(sq) {
+    const moves = [];
+    for (const [dr, dc] of KING_OFFSETS) {
+        const rank = Math.floor(sq / 8) + dr;
+        const file = sq % 8 + dc;
+        if (rank >= 0 && rank < 8 && file >= 0 && file < 8) moves.push(rank * 8 + file);
+    }
+    return moves;
+}
+
+function squareDistance64(a, b) {
+    return Math.max(Math.abs(Math.floor(a / 8) - Math.floor(b / 8)), Math.abs(a % 8 - b % 8));
+}
+
+/**
+ * Reward a bare king pushed to the edge and the attacking king close to it
+ */
+function mopUp(strongKing, weakKing) {
+    const [row, col] = weakKing;
+    const centerDistance = Math.max(3 - row, row - 4) + Math.max(3 - col, col - 4);
+    return PUSH_TO_EDGE * centerDistance + PUSH_CLOSE * (7 - kingDistance(strongKing, weakKing));
+}
+
+/**
+ * Moves a king needs to get from one [row, col] to another
+ */
+function kingDistance(a, b) {
+    return Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]));
+}
+
+function materialValue(pieces) {
+    return Object.entries(pieces).reduce((sum, [type, squares]) => sum + EG_PIECE_VALUES[type] * squares.length, 0);
+}
+
+/**
+ * Where every piece stands, by side and type
+ * @returns {Object} - { w: { king, pieces: { p, n, b, r, q }, count }, b: ... } with [row, col] squares
+ */
+function collectMaterial(board) {
+    const material = {};
+    for (const color of ['w', 'b']) {
+        material[color] = { king: null, pieces: { p: [], n: [], b: [], r: [], q: [] }, count: 0 };
+    }
+
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = board[row][col];
+            if (!piece) continue;
+
+            const side = material[piece.color];
+            if (piece.type === 'k') {
+                side.king = [row, col];
+            } else {
+                side.pieces[piece.type].push([row, col]);
+                side.count++;
+            }
+        }
+    }
+
+    return material;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        evaluateEndgame,
+        buildKPKBitbase,
+        KNOWN_WIN
+    };
+}
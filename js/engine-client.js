@@ -0,0 +1,371 @@
+/**
+ * Engine Client for Tal Chess
+ * Message-based front for the engine worker, with cancellable searches
+ * Falls back to the in-page engine where workers are unavailable (e.g. file:// pages)
+ */
+
+class EngineClient {
+    constructor(workerUrl = 'js/engine-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.pending = null;      // { id, resolve } for the search in flight
+        this.ponderMove = null;   // The engine's guess at the player's reply to its last move
+        this.nextSearchId = 1;
+        this.difficulty = 'intermediate';
+        this.personality = DEFAULT_PERSONALITY;
+        this.seed = null;         // Seed of the current game, resent whenever the worker restarts
+        this.lastDecision = null; // How the engine chose its last move, for the game record
+        this.lastExplanation = null; // Why the engine played its last move, for the explanation panel
+        this.lastError = null;    // Why the last search failed; null if it succeeded or was cancelled
+        this.backendUrl = null;
+        this.bookData = null;     // Contents of a loaded Polyglot book, resent whenever the worker restarts
+        this.stopFlag = createStopFlag();
+        this.localSearch = Promise.resolve(); // The in-page engine's last job; the next one waits for it
+
+        this.startWorker();
+    }
+
+    /**
+     * Spawn the worker, or fall back to the in-page engine
+     */
+    startWorker() {
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers unavailable - the engine will think on the main thread');
+            return;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Could not start engine worker - the engine will think on the main thread:', error.message);
+            this.worker = null;
+            return;
+        }
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('Engine worker failed - falling back to the main thread:', event.message);
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.retryPendingLocally();
+        };
+
+        this.worker.postMessage({ type: 'set-personality', id: this.personality });
+        this.worker.postMessage({ type: 'set-difficulty', level: this.difficulty });
+        if (this.seed !== null) {
+            this.worker.postMessage({ type: 'set-seed', seed: this.seed });
+        }
+        if (this.bookData) {
+            this.worker.postMessage({ type: 'set-book', data: this.bookData });
+        }
+        if (this.backendUrl) {
+            this.worker.postMessage({ type: 'set-backend', url: this.backendUrl });
+        }
+        if (this.stopFlag) {
+            this.worker.postMessage({ type: 'set-stop-flag', flag: this.stopFlag });
+        }
+    }
+
+    /**
+     * Make a search the one the worker should be running; any other stops at its next node
+     */
+    markCurrent(id) {
+        if (this.stopFlag) {
+            Atomics.store(this.stopFlag, 0, id);
+        }
+    }
+
+    /**
+     * Is a search for the engine's move in flight? (Pondering on the player's time doesn't count)
+     */
+    isSearching() {
+        return this.pending !== null && !this.pending.ponder;
+    }
+
+    /**
+     * Ask the engine for a move
+     * @param {Object} game - Chess.js game instance
+     * @param {string} playerColor - Human's color ('w' or 'b')
+     * @param {Object|null} clock - The engine's { remaining, increment } in seconds, to plan the thinking time
+     * @returns {Promise<Object|null>} - Move object, or null if the search was cancelled or failed (see lastError)
+     */
+    search(game, playerColor, clock = null) {
+        this.lastError = null;
+
+        if (this.pending && this.pending.ponder) {
+            const hit = this.takePonderhit(game);
+            if (hit) return hit;
+        }
+
+        // Only one search at a time - a new request supersedes the old one
+        this.cancel();
+
+        const id = this.nextSearchId++;
+        const moves = game.history();
+
+        return new Promise(resolve => {
+            this.pending = { id, resolve, moves, playerColor, clock };
+
+            if (this.worker) {
+                this.markCurrent(id);
+                this.worker.postMessage({ type: 'search', id, moves, playerColor, clock });
+            } else {
+                this.searchLocally(this.pending);
+            }
+        });
+    }
+
+    /**
+     * Think on the player's time about the engine's reply to the predicted move
+     * Only with a worker and at levels that ponder; a no-op without a prediction
+     * @param {Object} game - Chess.js game instance, player to move
+     * @param {Object|null} clock - The engine's { remaining, increment } in seconds
+     */
+    startPondering(game, playerColor, clock = null) {
+        const reply = this.ponderMove;
+        this.ponderMove = null;
+        if (!this.worker || !reply || this.pending || !getDifficulty(this.difficulty).ponder) return;
+
+        const id = this.nextSearchId++;
+        const moves = game.history();
+
+        this.pending = { id, resolve: () => {}, moves, reply, playerColor, clock, ponder: true };
+        this.markCurrent(id);
+        this.worker.postMessage({ type: 'ponder', id, moves, reply, playerColor, clock });
+    }
+
+    /**
+     * The player has moved while the engine was pondering: on a ponderhit hand over the pondered search,
+     * otherwise cancel it
+     * @returns {Promise<Object|null>|null} - Promise of the engine's move on a ponderhit, null on a miss
+     */
+    takePonderhit(game) {
+        const pondering = this.pending;
+        const history = game.history({ verbose: true });
+        const last = history[history.length - 1];
+
+        const hit = last && history.length === pondering.moves.length + 1 &&
+            last.from === pondering.reply.from && last.to === pondering.reply.to &&
+            last.promotion === pondering.reply.promotion &&
+            game.history().slice(0, -1).join(' ') === pondering.moves.join(' ');
+
+        if (!hit) {
+            this.cancel();
+            return null;
+        }
+
+        // Now a search of the position on the board, should it have to be re-run locally
+        pondering.ponder = false;
+        pondering.moves = game.history();
+        this.worker.postMessage({ type: 'ponderhit' });
+        return new Promise(resolve => { pondering.resolve = resolve; });
+    }
+
+    /**
+     * Finish the current search early with the best move found so far
+     */
+    stop() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'stop' });
+        } else {
+            personalityEngine.search.stop();
+        }
+    }
+
+    /**
+     * Abandon the current search; its promise resolves with null and its result is never applied
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        const { id, resolve } = this.pending;
+        this.pending = null;
+        resolve(null);
+
+        if (this.worker && this.stopFlag) {
+            // The search sees the flag change at its next node; the message ends a ponder or a human pause
+            this.markCurrent(0);
+            this.worker.postMessage({ type: 'cancel', id });
+        } else if (this.worker) {
+            // A running search can't read messages until it finishes, so start over with a fresh worker
+            // (and an empty transposition table)
+            this.worker.terminate();
+            this.startWorker();
+        } else {
+            personalityEngine.stop();
+        }
+    }
+
+    /**
+     * Set the engine difficulty level
+     */
+    setDifficulty(level) {
+        this.difficulty = level;
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'set-difficulty', level });
+        }
+        personalityEngine.setDifficulty(level);
+    }
+
+    /**
+     * Set the opponent, by PERSONALITIES id
+     */
+    setPersonality(id) {
+        this.personality = id;
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'set-personality', id });
+        }
+        personalityEngine.setPersonality(id);
+    }
+
+    /**
+     * Seed the engine's randomness for the game about to start
+     */
+    setSeed(seed) {
+        this.seed = seed;
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'set-seed', seed });
+        }
+        personalityEngine.setSeed(seed);
+    }
+
+    /**
+     * Play from a Polyglot book instead of the personality's own
+     * @param {ArrayBuffer|null} data - Contents of a .bin file, or null for the built-in book
+     */
+    setBook(data) {
+        this.bookData = data;
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'set-book', data });
+        }
+        personalityEngine.setPolyglotBook(data ? new PolyglotBook(data) : null);
+    }
+
+    /**
+     * Borrow strength from a UCI engine worker script (e.g. a WASM Stockfish build)
+     * @param {string|null} url - Engine script URL, or null for the built-in search
+     */
+    setBackend(url) {
+        this.backendUrl = url;
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'set-backend', url });
+        } else {
+            personalityEngine.setBackend(url ? new UciBackend(new WorkerTransport(url)) : null);
+        }
+    }
+
+    /**
+     * Start a new game: cancel any search and forget the old game
+     */
+    newGame() {
+        this.cancel();
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'new-game' });
+        }
+        this.localSearch = this.localSearch.then(() => personalityEngine.newGame());
+    }
+
+    /**
+     * Handle a reply from the worker
+     */
+    handleMessage(message) {
+        // Ignore replies to searches that have been cancelled or superseded
+        if (!this.pending || message.id !== this.pending.id) return;
+
+        if (message.type === 'error') {
+            // Give the search a second chance on the main thread before giving up on the move
+            console.error('Error in engine worker - retrying on the main thread:', message.message);
+            if (!this.pending.ponder) {
+                this.searchLocally(this.pending);
+            } else {
+                this.pending = null;
+            }
+            return;
+        }
+
+        const { resolve } = this.pending;
+        this.pending = null;
+
+        this.ponderMove = message.ponder || null;
+        this.lastDecision = message.decision || null;
+        this.lastExplanation = message.explanation || null;
+        resolve(message.move);
+    }
+
+    /**
+     * Run a search with the in-page engine, once its previous search has wound down: a cancelled search
+     * still shares the engine (its decision, its counters) until it returns
+     */
+    searchLocally(request) {
+        this.localSearch = this.localSearch.then(() => this.runLocally(request));
+    }
+
+    /**
+     * Run a search with the in-page engine now, unless it has been cancelled while waiting
+     */
+    async runLocally(request) {
+        if (this.pending !== request) return;
+
+        const game = new Chess();
+        request.moves.forEach(san => game.move(san));
+
+        let move;
+        try {
+            move = await personalityEngine.getBestMove(game, request.playerColor, { clock: request.clock });
+        } catch (error) {
+            console.error('Error in engine:', error);
+            if (this.pending === request) {
+                this.pending = null;
+                this.lastError = error.message;
+                request.resolve(null);
+            }
+            return;
+        }
+
+        if (this.pending === request) {
+            this.pending = null;
+            this.lastDecision = personalityEngine.decision;
+            this.lastExplanation = move ? personalityEngine.explainMove(game, move) : null;
+            request.resolve(move);
+        }
+    }
+
+    /**
+     * Re-run the search in flight after the worker died
+     */
+    retryPendingLocally() {
+        if (this.pending && this.pending.ponder) {
+            // Pondering would only freeze the page on the main thread
+            this.pending = null;
+        } else if (this.pending) {
+            this.searchLocally(this.pending);
+        }
+    }
+}
+
+/**
+ * Flag shared with the worker, holding the id of the search the client wants; changing it stops any other
+ * at its next node, so a cancelled search doesn't cost the worker its transposition table
+ * SharedArrayBuffer needs a cross-origin isolated page (served with COOP and COEP headers)
+ * @returns {Int32Array|null} - null where memory can't be shared
+ */
+function createStopFlag() {
+    const isolated = typeof crossOriginIsolated === 'undefined' || crossOriginIsolated;
+    if (typeof SharedArrayBuffer === 'undefined' || !isolated) return null;
+    return new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+}
+
+// Global engine client instance
+const engineClient = new EngineClient();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EngineClient, engineClient };
+}
@@ -0,0 +1,30 @@
+/**
+ * Engine Scripts for Tal Chess
+ * Load order of the engine's own scripts, shared by the engine worker and the Node loader
+ * (index.html lists the same files as <script> tags)
+ */
+
+const ENGINE_SCRIPTS = [
+    'random.js',
+    'tal-openings.js',
+    'petrosian-openings.js',
+    'see.js',
+    'evaluation.js',
+    'endgame.js',
+    'style-features.js',
+    'plans.js',
+    'difficulty.js',
+    'personalities.js',
+    'mistakes.js',
+    'time-budget.js',
+    'zobrist.js',
+    'polyglot.js',
+    'search.js',
+    'strength-backend.js',
+    'personality-engine.js'
+];
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ENGINE_SCRIPTS };
+}
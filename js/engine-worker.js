@@ -0,0 +1,127 @@
+/**
+ * Engine Worker for Tal Chess
+ * Hosts PersonalityEngine off the main thread so searches never freeze the board or the clocks
+ *
+ * Messages in:  { type: 'search', id, moves, playerColor, clock } | { type: 'stop' } | { type: 'cancel', id }
+ *               { type: 'ponder', id, moves, reply, playerColor, clock } | { type: 'ponderhit' }
+ *               { type: 'set-stop-flag', flag }  (an Int32Array on a SharedArrayBuffer holding the id of the search
+ *               the client still wants; a search stops at its next node once it holds another)
+ *               { type: 'set-difficulty', level } | { type: 'set-personality', id } | { type: 'new-game' }
+ *               { type: 'set-seed', seed } | { type: 'set-book', data }  (a Polyglot .bin as an ArrayBuffer, or null)
+ *               { type: 'set-backend', url }  (a UCI engine worker script, or null)
+ * Messages out: { type: 'bestmove', id, move, ponder, decision, explanation } | { type: 'error', id, message }
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/chess.js/0.10.3/chess.min.js',
+    'engine-scripts.js'
+);
+importScripts(...ENGINE_SCRIPTS);
+
+const workerEngine = new PersonalityEngine();
+
+let stopFlag = null;
+let currentSearchId = null;   // Search in progress, if any
+
+// Searches and settings run one after another: a cancelled search winds down before anything else touches the engine
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'ponderhit':
+            workerEngine.ponderhit();
+            break;
+        case 'stop':
+            workerEngine.stop();
+            break;
+        case 'cancel':
+            // Ends a pondering or pausing search; a late cancel must not stop the next one
+            if (message.id === currentSearchId) {
+                workerEngine.stop();
+            }
+            break;
+        default:
+            queue = queue.then(() => handleMessage(message));
+    }
+};
+
+/**
+ * Handle a message that uses the engine, once the messages before it are done
+ */
+async function handleMessage(message) {
+    switch (message.type) {
+        case 'search':
+        case 'ponder':
+            await handleSearch(message);
+            break;
+        case 'set-stop-flag':
+            stopFlag = message.flag;
+            workerEngine.search.stopFlag = stopFlag;
+            break;
+        case 'set-difficulty':
+            workerEngine.setDifficulty(message.level);
+            break;
+        case 'set-personality':
+            workerEngine.setPersonality(message.id);
+            break;
+        case 'set-seed':
+            workerEngine.setSeed(message.seed);
+            break;
+        case 'set-book':
+            workerEngine.setPolyglotBook(message.data ? new PolyglotBook(message.data) : null);
+            break;
+        case 'new-game':
+            workerEngine.newGame();
+            break;
+        case 'set-backend':
+            setBackend(message.url);
+            break;
+        default:
+            console.warn(`Engine worker: unknown message type "${message.type}"`);
+    }
+}
+
+/**
+ * Borrow strength from a UCI engine running in its own worker (e.g. a WASM Stockfish build)
+ */
+function setBackend(url) {
+    if (workerEngine.backend) {
+        workerEngine.backend.quit();
+    }
+    workerEngine.setBackend(url ? new UciBackend(new WorkerTransport(url)) : null);
+}
+
+/**
+ * Rebuild the game from its move list (so history-based heuristics still work) and search it
+ * A ponder request also plays the predicted reply and holds its answer until ponderhit
+ */
+async function handleSearch(message) {
+    // Cancelled while waiting its turn
+    if (stopFlag && Atomics.load(stopFlag, 0) !== message.id) return;
+
+    currentSearchId = message.id;
+    workerEngine.search.stopToken = message.id;
+    try {
+        const game = new Chess();
+        for (const san of message.moves) {
+            game.move(san);
+        }
+        if (message.reply) {
+            game.move(message.reply);
+        }
+
+        const move = await workerEngine.getBestMove(game, message.playerColor, {
+            clock: message.clock,
+            ponder: message.type === 'ponder'
+        });
+        const ponder = move ? workerEngine.predictReply(game, move) : null;
+        const explanation = move ? workerEngine.explainMove(game, move) : null;
+        self.postMessage({ type: 'bestmove', id: message.id, move, ponder, decision: workerEngine.decision, explanation });
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    } finally {
+        currentSearchId = null;
+    }
+}
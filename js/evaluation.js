@@ -0,0 +1,377 @@
+/**
+ * Position Evaluation for Tal Chess
+ * Piece-square tables, pawn structure, mobility and king safety, tapered between middlegame and endgame
+ */
+
+// Material values (in centipawns) for each game phase
+const MG_PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+const EG_PIECE_VALUES = { p: 120, n: 300, b: 320, r: 530, q: 930, k: 0 };
+
+// Game phase: 24 with all minor and major pieces on the board, 0 with none
+const PHASE_WEIGHTS = { p: 0, n: 1, b: 1, r: 2, q: 4, k: 0 };
+const TOTAL_PHASE = 24;
+
+/**
+ * Piece-square tables, from White's point of view with a8 first
+ * (Black's scores are read with the rows mirrored)
+ */
+const PST_MG = {
+    p: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        50, 50, 50, 50, 50, 50, 50, 50,
+        10, 10, 20, 30, 30, 20, 10, 10,
+        5, 5, 10, 25, 25, 10, 5, 5,
+        0, 0, 0, 20, 20, 0, 0, 0,
+        5, -5, -10, 0, 0, -10, -5, 5,
+        5, 10, 10, -20, -20, 10, 10, 5,
+        0, 0, 0, 0, 0, 0, 0, 0
+    ],
+    n: [
+        -50, -40, -30, -30, -30, -30, -40, -50,
+        -40, -20, 0, 0, 0, 0, -20, -40,
+        -30, 0, 10, 15, 15, 10, 0, -30,
+        -30, 5, 15, 20, 20, 15, 5, -30,
+        -30, 0, 15, 20, 20, 15, 0, -30,
+        -30, 5, 10, 15, 15, 10, 5, -30,
+        -40, -20, 0, 5, 5, 0, -20, -40,
+        -50, -40, -30, -30, -30, -30, -40, -50
+    ],
+    b: [
+        -20, -10, -10, -10, -10, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 10, 10, 5, 0, -10,
+        -10, 5, 5, 10, 10, 5, 5, -10,
+        -10, 0, 10, 10, 10, 10, 0, -10,
+        -10, 10, 10, 10, 10, 10, 10, -10,
+        -10, 5, 0, 0, 0, 0, 5, -10,
+        -20, -10, -10, -10, -10, -10, -10, -20
+    ],
+    r: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        5, 10, 10, 10, 10, 10, 10, 5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        0, 0, 0, 5, 5, 0, 0, 0
+    ],
+    q: [
+        -20, -10, -10, -5, -5, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 5, 5, 5, 0, -10,
+        -5, 0, 5, 5, 5, 5, 0, -5,
+        0, 0, 5, 5, 5, 5, 0, -5,
+        -10, 5, 5, 5, 5, 5, 0, -10,
+        -10, 0, 5, 0, 0, 0, 0, -10,
+        -20, -10, -10, -5, -5, -10, -10, -20
+    ],
+    k: [
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -30, -40, -40, -50, -50, -40, -40, -30,
+        -20, -30, -30, -40, -40, -30, -30, -20,
+        -10, -20, -20, -20, -20, -20, -20, -10,
+        20, 20, 0, 0, 0, 0, 20, 20,
+        20, 30, 10, 0, 0, 10, 30, 20
+    ]
+};
+
+const PST_EG = {
+    p: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        80, 80, 80, 80, 80, 80, 80, 80,
+        50, 50, 50, 50, 50, 50, 50, 50,
+        30, 30, 30, 30, 30, 30, 30, 30,
+        15, 15, 15, 15, 15, 15, 15, 15,
+        5, 5, 5, 5, 5, 5, 5, 5,
+        0, 0, 0, 0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0, 0, 0, 0
+    ],
+    n: PST_MG.n,
+    b: PST_MG.b,
+    r: PST_MG.r,
+    q: PST_MG.q,
+    k: [
+        -50, -40, -30, -20, -20, -30, -40, -50,
+        -30, -20, -10, 0, 0, -10, -20, -30,
+        -30, -10, 20, 30, 30, 20, -10, -30,
+        -30, -10, 30, 40, 40, 30, -10, -30,
+        -30, -10, 30, 40, 40, 30, -10, -30,
+        -30, -10, 20, 30, 30, 20, -10, -30,
+        -30, -30, 0, 0, 0, 0, -30, -30,
+        -50, -30, -30, -30, -30, -30, -30, -50
+    ]
+};
+
+// Pawn structure (middlegame, endgame)
+const DOUBLED_PAWN_PENALTY = [15, 25];
+const ISOLATED_PAWN_PENALTY = [15, 20];
+
+// Passed pawn bonus by rank (1-8) from the pawn's own side
+const PASSED_PAWN_MG = [0, 0, 5, 10, 20, 35, 60, 0];
+const PASSED_PAWN_EG = [0, 10, 15, 30, 50, 80, 120, 0];
+
+// Mobility: centipawns per reachable square beyond a typical count (middlegame, endgame)
+const MOBILITY_WEIGHTS = { n: [4, 4], b: [5, 5], r: [2, 4], q: [1, 2] };
+const TYPICAL_MOBILITY = { n: 4, b: 6, r: 7, q: 13 };
+
+// King safety (middlegame only)
+const KING_ATTACK_WEIGHTS = { n: 2, b: 2, r: 3, q: 5 };
+const SHIELD_PAWN_MISSING = 20;
+const OPEN_FILE_NEAR_KING = 15;
+
+const BISHOP_PAIR_BONUS = [30, 50];
+const TEMPO_BONUS = 10;
+
+/**
+ * Evaluate a position
+ * @param {string} fen - Position in FEN
+ * @returns {number} - Score in centipawns from White's point of view
+ */
+function evaluatePosition(fen) {
+    const board = parseFenBoard(fen);
+    const turn = fen.split(' ')[1] || 'w';
+
+    // Basic endings against a bare king have their own scoring
+    const endgame = evaluateEndgame(board, turn);
+    if (endgame !== null) return endgame;
+
+    const mg = { w: 0, b: 0 };
+    const eg = { w: 0, b: 0 };
+    const pawns = { w: [], b: [] };
+    const kings = {};
+    const bishops = { w: 0, b: 0 };
+    let phase = 0;
+
+    // Material and piece-square tables
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = board[row][col];
+            if (!piece) continue;
+
+            const index = (piece.color === 'w' ? row : 7 - row) * 8 + col;
+            mg[piece.color] += MG_PIECE_VALUES[piece.type] + PST_MG[piece.type][index];
+            eg[piece.color] += EG_PIECE_VALUES[piece.type] + PST_EG[piece.type][index];
+            phase += PHASE_WEIGHTS[piece.type];
+
+            if (piece.type === 'p') pawns[piece.color].push([row, col]);
+            if (piece.type === 'k') kings[piece.color] = [row, col];
+            if (piece.type === 'b') bishops[piece.color]++;
+        }
+    }
+
+    for (const color of ['w', 'b']) {
+        const enemy = color === 'w' ? 'b' : 'w';
+
+        const structure = evaluatePawnStructure(pawns[color], pawns[enemy], color);
+        mg[color] += structure[0];
+        eg[color] += structure[1];
+
+        const activity = evaluateMobilityAndAttacks(board, color, kings[enemy]);
+        mg[color] += activity.mobility[0];
+        eg[color] += activity.mobility[1];
+        mg[enemy] -= activity.kingAttack;
+
+        if (kings[color]) {
+            mg[color] -= evaluateKingShelter(board, kings[color], color);
+        }
+
+        if (bishops[color] >= 2) {
+            mg[color] += BISHOP_PAIR_BONUS[0];
+            eg[color] += BISHOP_PAIR_BONUS[1];
+        }
+    }
+
+    mg[turn] += TEMPO_BONUS;
+
+    // Taper between the middlegame and endgame scores by remaining material
+    const mgWeight = Math.min(phase, TOTAL_PHASE) / TOTAL_PHASE;
+    const mgScore = mg.w - mg.b;
+    const egScore = eg.w - eg.b;
+
+    return Math.round(mgScore * mgWeight + egScore * (1 - mgWeight));
+}
+
+/**
+ * Evaluate from the side to move's point of view (what the search wants)
+ * @param {Object} game - Chess.js game instance
+ * @returns {number} - Score in centipawns
+ */
+function evaluateForSideToMove(game) {
+    const score = evaluatePosition(game.fen());
+    return game.turn() === 'w' ? score : -score;
+}
+
+/**
+ * Doubled, isolated and passed pawns for one side
+ * @returns {Array} - [middlegame, endgame] score
+ */
+function evaluatePawnStructure(ownPawns, enemyPawns, color) {
+    let mg = 0;
+    let eg = 0;
+
+    const fileCounts = new Array(8).fill(0);
+    ownPawns.forEach(([, col]) => fileCounts[col]++);
+
+    fileCounts.forEach((count, file) => {
+        if (count > 1) {
+            mg -= DOUBLED_PAWN_PENALTY[0] * (count - 1);
+            eg -= DOUBLED_PAWN_PENALTY[1] * (count - 1);
+        }
+
+        const hasNeighbour = (file > 0 && fileCounts[file - 1] > 0) || (file < 7 && fileCounts[file + 1] > 0);
+        if (count > 0 && !hasNeighbour) {
+            mg -= ISOLATED_PAWN_PENALTY[0] * count;
+            eg -= ISOLATED_PAWN_PENALTY[1] * count;
+        }
+    });
+
+    for (const [row, col] of ownPawns) {
+        // Passed: no enemy pawn ahead on this or an adjacent file
+        const blocked = enemyPawns.some(([enemyRow, enemyCol]) =>
+            Math.abs(enemyCol - col) <= 1 && (color === 'w' ? enemyRow < row : enemyRow > row)
+        );
+        if (!blocked) {
+            const rank = color === 'w' ? 8 - row : row + 1;
+            mg += PASSED_PAWN_MG[rank - 1];
+            eg += PASSED_PAWN_EG[rank - 1];
+        }
+    }
+
+    return [mg, eg];
+}
+
+/**
+ * Mobility of knights, bishops, rooks and queens, and their pressure on the enemy king's zone
+ * @returns {Object} - { mobility: [middlegame, endgame], kingAttack: middlegame penalty for the enemy }
+ */
+function evaluateMobilityAndAttacks(board, color, enemyKing) {
+    const mobility = [0, 0];
+    let attackUnits = 0;
+    let attackers = 0;
+
+    const inKingZone = (row, col) => enemyKing &&
+        Math.abs(row - enemyKing[0]) <= 1 && Math.abs(col - enemyKing[1]) <= 1;
+
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = board[row][col];
+            if (!piece || piece.color !== color || !(piece.type in MOBILITY_WEIGHTS)) continue;
+
+            let reachable = 0;
+            let hitsZone = false;
+            const visit = (r, c) => {
+                const target = board[r][c];
+                if (!target || target.color !== color) reachable++;
+                if (inKingZone(r, c)) hitsZone = true;
+                return !target;  // sliders stop at the first piece
+            };
+
+            if (piece.type === 'n') {
+                KNIGHT_OFFSETS.forEach(([dr, dc]) => {
+                    const r = row + dr;
+                    const c = col + dc;
+                    if (r >= 0 && r < 8 && c >= 0 && c < 8) visit(r, c);
+                });
+            } else {
+                const directions = piece.type === 'b' ? DIAGONAL_DIRECTIONS
+                    : piece.type === 'r' ? STRAIGHT_DIRECTIONS
+                        : DIAGONAL_DIRECTIONS.concat(STRAIGHT_DIRECTIONS);
+                directions.forEach(([dr, dc]) => {
+                    let r = row + dr;
+                    let c = col + dc;
+                    while (r >= 0 && r < 8 && c >= 0 && c < 8 && visit(r, c)) {
+                        r += dr;
+                        c += dc;
+                    }
+                });
+            }
+
+            const extra = reachable - TYPICAL_MOBILITY[piece.type];
+            mobility[0] += extra * MOBILITY_WEIGHTS[piece.type][0];
+            mobility[1] += extra * MOBILITY_WEIGHTS[piece.type][1];
+
+            if (hitsZone) {
+                attackers++;
+                attackUnits += KING_ATTACK_WEIGHTS[piece.type];
+            }
+        }
+    }
+
+    // A lone attacker is rarely dangerous; several together grow quickly
+    const kingAttack = attackers >= 2 ? Math.min(500, attackUnits * attackUnits * 2) : 0;
+
+    return { mobility, kingAttack };
+}
+
+/**
+ * Penalty for a castled king with a broken pawn shield or open files around it
+ * @returns {number} - Middlegame penalty in centipawns
+ */
+function evaluateKingShelter(board, king, color) {
+    const [row, col] = king;
+    const homeRow = color === 'w' ? 7 : 0;
+    const forward = color === 'w' ? -1 : 1;
+
+    // Only a king tucked away on its first two ranks has a shelter to speak of
+    if (Math.abs(row - homeRow) > 1) return 0;
+
+    let penalty = 0;
+
+    for (let file = Math.max(0, col - 1); file <= Math.min(7, col + 1); file++) {
+        const isOwnPawn = (r) => {
+            const piece = r >= 0 && r < 8 ? board[r][file] : null;
+            return piece && piece.type === 'p' && piece.color === color;
+        };
+
+        if (isOwnPawn(row + forward)) {
+            continue;
+        } else if (isOwnPawn(row + 2 * forward)) {
+            penalty += SHIELD_PAWN_MISSING / 2;
+        } else {
+            penalty += SHIELD_PAWN_MISSING;
+        }
+
+        let fileHasOwnPawn = false;
+        for (let r = 0; r < 8; r++) {
+            if (isOwnPawn(r)) fileHasOwnPawn = true;
+        }
+        if (!fileHasOwnPawn) {
+            penalty += OPEN_FILE_NEAR_KING;
+        }
+    }
+
+    return penalty;
+}
+
+/**
+ * Parse the piece placement of a FEN into rows like game.board() (rank 8 first)
+ */
+function parseFenBoard(fen) {
+    const rows = fen.split(' ')[0].split('/');
+
+    return rows.map(rowText => {
+        const row = [];
+        for (const char of rowText) {
+            if (char >= '1' && char <= '8') {
+                for (let i = 0; i < parseInt(char, 10); i++) row.push(null);
+            } else {
+                const color = char === char.toUpperCase() ? 'w' : 'b';
+                row.push({ type: char.toLowerCase(), color });
+            }
+        }
+        return row;
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        evaluatePosition,
+        evaluateForSideToMove,
+        parseFenBoard,
+        EG_PIECE_VALUES
+    };
+}
@@ -0,0 +1,164 @@
+/**
+ * Replay the Legend for Tal Chess
+ * Steps through Tal's famous games (TAL_OPENINGS.famousGames) with commentary, and compares a game the
+ * player took over from any move with what was actually played
+ */
+
+/**
+ * Move number label of the move played at a ply, e.g. "16." for White's 16th move, "21..." for Black's 21st
+ * @param {number} ply - 0 for White's first move
+ */
+function moveNumberLabel(ply) {
+    return `${Math.floor(ply / 2) + 1}${ply % 2 === 0 ? '.' : '...'}`;
+}
+
+/**
+ * SAN moves of a move list, without move numbers or the result
+ */
+function parseMoveList(text) {
+    return text
+        .replace(/\d+\.(\.\.)?/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !['1-0', '0-1', '1/2-1/2', '*'].includes(token));
+}
+
+/**
+ * A famous game, checked move by move
+ * @param {string} id - Key in TAL_OPENINGS.famousGames
+ * @returns {Object} - The stored game with id, moves as SAN and talColor ('w' or 'b')
+ * @throws {Error} - If the game is unknown or a move is illegal
+ */
+function loadFamousGame(id) {
+    const stored = TAL_OPENINGS.famousGames[id];
+    if (!stored) {
+        throw new Error(`Unknown game: ${id}`);
+    }
+
+    const moves = parseMoveList(stored.moves);
+    const game = new Chess();
+    moves.forEach((san, ply) => {
+        if (!game.move(san)) {
+            throw new Error(`${id}: illegal move ${moveNumberLabel(ply)}${san}`);
+        }
+    });
+
+    return {
+        ...stored,
+        id,
+        moves,
+        talColor: stored.white === 'Mikhail Tal' ? 'w' : 'b'
+    };
+}
+
+/**
+ * Every famous game that loads, in the order they are stored
+ */
+function getFamousGames() {
+    return Object.keys(TAL_OPENINGS.famousGames).reduce((games, id) => {
+        try {
+            games.push(loadFamousGame(id));
+        } catch (error) {
+            console.warn(`Famous game left out: ${error.message}`);
+        }
+        return games;
+    }, []);
+}
+
+/**
+ * The comment on the move that led to a position, if there is one
+ * @param {Object} famous - From loadFamousGame
+ * @param {number} ply - Moves played so far
+ * @returns {string|null}
+ */
+function getReplayCommentary(famous, ply) {
+    if (ply === 0) return null;
+    return famous.commentary[moveNumberLabel(ply - 1)] || null;
+}
+
+/**
+ * Set a game the player took over against the famous game it was taken from
+ * The continuation follows the game until its first different move; from there the positions differ,
+ * so the rest is only listed side by side
+ * @param {Object} famous - From loadFamousGame
+ * @param {number} fromPly - Moves of the famous game played before the player took over
+ * @param {Array} moves - SAN moves of the whole continued game, from the start position
+ * @param {string} playerColor - 'w' or 'b', the side the player took over
+ * @returns {Object} - { rows: [{ ply, played, actual, player }], followed, divergence, playerColor, playerMoves,
+ *                     playerMatches }; player marks the player's moves, followed counts the moves that kept to the game
+ */
+function compareWithFamousGame(famous, fromPly, moves, playerColor) {
+    const rows = [];
+    let divergence = null;
+
+    for (let ply = fromPly; ply < Math.max(moves.length, famous.moves.length); ply++) {
+        const row = {
+            ply,
+            played: moves[ply] || null,
+            actual: famous.moves[ply] || null,
+            player: (ply % 2 === 0 ? 'w' : 'b') === playerColor
+        };
+        if (divergence === null && row.played && row.played !== row.actual) {
+            divergence = row;
+        }
+        rows.push(row);
+    }
+
+    const onTheGame = rows.filter(row => row.played && (!divergence || row.ply < divergence.ply));
+    const playerMoves = onTheGame.filter(row => row.player).length + (divergence && divergence.player ? 1 : 0);
+
+    return {
+        rows,
+        followed: onTheGame.length,
+        divergence,
+        playerColor,
+        playerMoves,
+        playerMatches: onTheGame.filter(row => row.player).length
+    };
+}
+
+/**
+ * Who played a side of a famous game, by surname
+ */
+function famousPlayerName(famous, color) {
+    return (color === 'w' ? famous.white : famous.black).split(' ').pop();
+}
+
+/**
+ * Sum up a comparison in a sentence, e.g. "You matched Tal on 4 of 5 moves, then played 21...Qd6 where Tal played 21...Nf4."
+ * @param {Object} comparison - From compareWithFamousGame
+ * @param {Object} famous - From loadFamousGame
+ * @returns {string}
+ */
+function describeComparison(comparison, famous) {
+    const { divergence, playerColor, playerMoves, playerMatches } = comparison;
+
+    if (comparison.followed === 0 && !divergence) {
+        return 'No moves were played after you took over.';
+    }
+
+    const matched = `You matched ${famousPlayerName(famous, playerColor)} on ${playerMatches} of ${playerMoves} moves`;
+    if (!divergence) {
+        const ended = comparison.rows.every(row => row.played);
+        return `${matched} and ${ended ? 'followed the game to the end' : 'kept to the game so far'}.`;
+    }
+
+    const label = moveNumberLabel(divergence.ply);
+    const who = divergence.player ? '' : 'the engine ';
+    const actual = divergence.actual ?
+        `${famousPlayerName(famous, divergence.ply % 2 === 0 ? 'w' : 'b')} played ${label}${divergence.actual}` :
+        'the game had already ended';
+    return `${matched}, then ${who}played ${label}${divergence.played} where ${actual}.`;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        loadFamousGame,
+        getFamousGames,
+        getReplayCommentary,
+        compareWithFamousGame,
+        describeComparison,
+        famousPlayerName,
+        moveNumberLabel
+    };
+}
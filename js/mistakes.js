@@ -0,0 +1,88 @@
+/**
+ * Mistake Model for Tal Chess
+ * When a lower level is due to err, picks an inferior move a human might actually play:
+ * one that misses a tactic, leaves a piece hanging, or sacrifices too early
+ */
+
+// How much likelier each kind of error is than an arbitrary inferior move
+const MISTAKE_PLAUSIBILITY = {
+    missedTactic: 3,        // A quiet move when a capture or check was the point
+    hangingPiece: 3,        // Leaves a piece en prise, or ignores one that already is
+    prematureSacrifice: 2,  // Gives up material for an attack that isn't there yet
+    aimless: 0.1,           // Shuffles a piece straight back to where it came from
+    other: 1
+};
+
+/**
+ * Choose a mistake from searched root moves
+ * Losses are measured without the style bonus, so a stylish move costs what it objectively costs
+ * @param {Array} rootMoves - [{ move, score, bonus }] from TalSearch, every score exact and including its bonus
+ * @param {Object} game - Chess.js game instance (position before the move)
+ * @param {Object} difficulty - Current difficulty settings
+ * @param {Function} random - The engine's seeded generator
+ * @returns {Object|null} - { move, loss, kind }, or null if no move is worse than the best
+ */
+function chooseMistake(rootMoves, game, difficulty, random) {
+    const objective = rm => rm.score - (rm.bonus || 0);
+    const best = rootMoves.reduce((a, b) => (objective(b) > objective(a) ? b : a));
+    const target = sampleCentipawnLoss(difficulty, random);
+    const scale = Math.max(1, difficulty.centipawnLoss);
+
+    const candidates = rootMoves
+        .filter(rm => objective(rm) < objective(best))
+        .map(rm => {
+            const loss = Math.min(objective(best) - objective(rm), MAX_MISTAKE_LOSS * 2);
+            const kind = classifyMistake(rm.move, game, best.move);
+            // Losses near the sampled target are likeliest, human-looking errors more so
+            const weight = MISTAKE_PLAUSIBILITY[kind] * Math.exp(-Math.abs(loss - target) / scale);
+            return { move: rm.move, loss, kind, weight };
+        });
+    if (candidates.length === 0) return null;
+
+    const total = candidates.reduce((sum, c) => sum + c.weight, 0);
+    let pick = random() * total;
+    for (const candidate of candidates) {
+        pick -= candidate.weight;
+        if (pick <= 0) return candidate;
+    }
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * What kind of error would playing this move instead of the best one be?
+ * @returns {string} - A key of MISTAKE_PLAUSIBILITY
+ */
+function classifyMistake(move, game, bestMove) {
+    const history = game.history({ verbose: true });
+    const lastOwnMove = history[history.length - 2];
+    if (lastOwnMove && lastOwnMove.from === move.to && lastOwnMove.to === move.from) {
+        return 'aimless';
+    }
+
+    if (staticExchangeEvaluation(game, move) < 0 && (move.san.includes('+') || move.captured)) {
+        return 'prematureSacrifice';
+    }
+
+    const board = game.board();
+    const dangerBefore = countThreatenedPieces(board, move.color);
+    const dangerAfter = countThreatenedPieces(applyMoveToBoard(board, move), move.color);
+    if (dangerAfter > 0 && dangerAfter >= dangerBefore) {
+        return 'hangingPiece';
+    }
+
+    const bestIsForcing = bestMove.captured || bestMove.promotion || bestMove.san.includes('+');
+    if (bestIsForcing && !move.captured && !move.san.includes('+')) {
+        return 'missedTactic';
+    }
+
+    return 'other';
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        chooseMistake,
+        classifyMistake,
+        MISTAKE_PLAUSIBILITY
+    };
+}
@@ -0,0 +1,121 @@
+/**
+ * Move Explanations for Tal Chess
+ * Turns the engine's breakdown of a move (see PersonalityEngine.explainMove) into plain language
+ */
+
+// Parts smaller than this (in centipawns) are left out of the explanation
+const MIN_EXPLAINED_SCORE = 5;
+
+// A part must be worth this much (in centipawns) to give the move its headline
+const MIN_IDEA_SCORE = 20;
+
+// How each part of the breakdown is named in the list of scores
+const EXPLANATION_LABELS = {
+    capture: 'capture',
+    sacrifice: 'sacrifice',
+    check: 'check',
+    kingAttack: 'king attack',
+    kingUnsafe: 'open king',
+    planMove: 'plan',
+    centerControl: 'centre',
+    pieceActivity: 'development',
+    activity: 'activity',
+    openFiles: 'open lines',
+    passivePiece: 'retreat',
+    defensiveMove: 'defence',
+    simplification: 'simplification',
+    complexity: 'complexity'
+};
+
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+
+// What each kind of intentional mistake (see classifyMistake) looks like on the board
+const MISTAKE_DESCRIPTIONS = {
+    missedTactic: 'misses the tactic',
+    hangingPiece: 'leaves a piece hanging',
+    prematureSacrifice: 'sacrifices before the attack is ready',
+    aimless: 'moves a piece back where it came from',
+    other: 'plays an inferior move'
+};
+
+/**
+ * What the move does: the first idea, in order of how much it says about the move, that really counted
+ * (closing in on the king counts for most moves, so it only speaks when nothing else does)
+ */
+function describeMoveIdea(explanation) {
+    const { parts, piece, captured } = explanation;
+    if (parts.mate > 0) return 'delivers checkmate';
+
+    const pieceName = PIECE_NAMES[piece];
+    const ideas = {
+        sacrifice: () => `sacrifices the ${pieceName}` +
+            (parts.kingAttack > 0 || parts.kingUnsafe > 0 || parts.check > 0 ? ' to open the king' : ' for the initiative'),
+        capture: () => `takes the ${PIECE_NAMES[captured]}`,
+        check: () => 'gives check',
+        kingUnsafe: () => 'opens up the enemy king',
+        planMove: () => 'follows the plan the position calls for',
+        centerControl: () => 'fights for the centre',
+        pieceActivity: () => `develops the ${pieceName}`,
+        activity: () => `activates the ${pieceName}`,
+        openFiles: () => `puts the ${pieceName} on an open line`,
+        passivePiece: () => `regroups the ${pieceName}`,
+        defensiveMove: () => 'defends before the threat arrives',
+        simplification: () => 'trades down into safety',
+        complexity: () => 'keeps the position complicated',
+        kingAttack: () => `brings the ${pieceName} closer to the enemy king`
+    };
+
+    const idea = Object.keys(ideas).find(term => parts[term] >= MIN_IDEA_SCORE);
+    if (!idea) return 'a quiet move';
+
+    const withCheck = parts.check >= MIN_IDEA_SCORE && !['sacrifice', 'check'].includes(idea);
+    return ideas[idea]() + (withCheck ? ' with check' : '');
+}
+
+/**
+ * The search's verdict on a move, e.g. "search: +35" or "search: mate in 3"
+ * @param {Object} score - { cp } or { mate }, for the side that moved
+ */
+function describeSearchScore(score) {
+    if ('mate' in score) {
+        return `search: ${score.mate > 0 ? 'mate' : 'mated'} in ${Math.abs(score.mate)}`;
+    }
+    return `search: ${score.cp > 0 ? '+' : ''}${score.cp}`;
+}
+
+/**
+ * Explain a move in a sentence, e.g. "sacrifices the knight to open the king: +150 sacrifice, +80 check,
+ * +60 king attack; search: +35"
+ * An intentional mistake is owned up to rather than dressed up as an idea
+ * @param {Object} explanation - { san, piece, captured, source, parts, total, score, mistake }
+ *                               from PersonalityEngine.explainMove
+ * @param {Object} personality - Profile of the player who made the move
+ * @returns {string}
+ */
+function describeMove(explanation, personality) {
+    const verdict = explanation.score ? `; ${describeSearchScore(explanation.score)}` : '';
+
+    if (explanation.source === 'mistake' && explanation.mistake) {
+        const { kind, loss } = explanation.mistake;
+        const description = MISTAKE_DESCRIPTIONS[kind] || MISTAKE_DESCRIPTIONS.other;
+        return `a deliberate mistake at this level: ${description}, ` +
+            `about ${loss} centipawns worse than the best move${verdict}`;
+    }
+
+    const idea = describeMoveIdea(explanation);
+    const scores = Object.keys(EXPLANATION_LABELS)
+        .filter(term => Math.abs(explanation.parts[term]) >= MIN_EXPLAINED_SCORE)
+        .sort((a, b) => Math.abs(explanation.parts[b]) - Math.abs(explanation.parts[a]))
+        .map(term => {
+            const score = explanation.parts[term];
+            return `${score > 0 ? '+' : ''}${score} ${EXPLANATION_LABELS[term]}`;
+        });
+
+    const prefix = explanation.source === 'book' ? `from ${personality.shortName}'s opening book, ` : '';
+    return (scores.length > 0 ? `${prefix}${idea}: ${scores.join(', ')}` : `${prefix}${idea}`) + verdict;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { describeMove, MIN_EXPLAINED_SCORE };
+}
@@ -0,0 +1,142 @@
+/**
+ * Player Personalities for Tal Chess
+ * Each profile bundles a playing style, an opening book, a difficulty curve and what the page shows about the player
+ *
+ * Profile format:
+ *   id, name, shortName, nickname, years, title, icon - display metadata
+ *   stats       - [{ value, label }] shown under the portrait
+ *   quotes      - One is shown per game
+ *   traits      - [{ icon, text }] for the "Playing Style" list
+ *   styleWeights - Same keys as TAL_STYLE_MODIFIERS, in centipawns
+ *   openings    - { white, black } books in the TAL_OPENINGS format
+ *   openingNotes - { 'Opening: Variation' prefix of an ECO name: note } shown when a game reaches the line
+ *   difficulty  - Per-level overrides of DIFFICULTY_LEVELS (e.g. sacrificeThreshold, description)
+ *   messages    - { win, winOnTime, defeated } for the game-over modal
+ */
+
+// The opponent offered when none has been chosen
+const DEFAULT_PERSONALITY = 'tal';
+
+/**
+ * Tigran Petrosian Style Modifiers
+ * Prophylaxis first: defuse the opponent's ideas, keep the position closed and trade into safety
+ */
+const PETROSIAN_STYLE_MODIFIERS = {
+    sacrifice: -60,        // Material is given up only for a lasting bind
+    kingAttack: 10,        // Rarely goes straight for the king
+    check: 10,
+    centerControl: 40,     // Solid pawn centres
+    pieceActivity: 30,
+    complexPosition: -40,  // Prefers positions he can see to the end
+
+    defensiveMove: 80,     // Prophylaxis: rescue a piece before it is attacked twice
+    simplification: 50,    // Happy to trade down into a safe position
+    passivePiece: 0,       // A retreat that improves a piece is no disgrace
+
+    openFiles: 10,
+    kingUnsafe: 20,
+    planMove: 30,          // Knight outposts, rather than pawn storms
+
+    contempt: 10,          // A draw against a strong opponent is no failure
+};
+
+const PERSONALITIES = {
+    tal: {
+        id: 'tal',
+        name: 'Mikhail Tal',
+        shortName: 'Tal',
+        nickname: 'The Magician from Riga',
+        years: '1936 - 1992',
+        title: '8th World Chess Champion',
+        icon: '♚',
+        stats: [
+            { value: '2705', label: 'Peak Rating' },
+            { value: '1960', label: 'World Champion' }
+        ],
+        quotes: [
+            'There are two types of sacrifices: correct ones, and mine.'
+        ],
+        traits: [
+            { icon: '⚔️', text: 'Aggressive Attacks' },
+            { icon: '🎭', text: 'Brilliant Sacrifices' },
+            { icon: '🔮', text: 'Intuitive Play' },
+            { icon: '⚡', text: 'Complex Combinations' }
+        ],
+        styleWeights: TAL_STYLE_MODIFIERS,
+        openings: TAL_OPENINGS,
+        openingNotes: {
+            'Sicilian Defense: Najdorf Variation': TAL_OPENING_NAMES.sicilian_najdorf,
+            'Sicilian Defense: Dragon Variation': TAL_OPENING_NAMES.sicilian_dragon,
+            'Sicilian Defense: Scheveningen Variation': TAL_OPENING_NAMES.sicilian_scheveningen,
+            'Sicilian Defense: Najdorf Variation, Scheveningen Variation': TAL_OPENING_NAMES.sicilian_scheveningen,
+            'Sicilian Defense: Najdorf Variation, English Attack': TAL_OPENING_NAMES.english_attack,
+            'Sicilian Defense: Scheveningen Variation, English Attack': TAL_OPENING_NAMES.english_attack,
+            "King's Indian Defense": TAL_OPENING_NAMES.kings_indian,
+            'French Defense: Advance Variation': TAL_OPENING_NAMES.french_advance,
+            "King's Gambit": TAL_OPENING_NAMES.kings_gambit,
+            'Benoni Defense': TAL_OPENING_NAMES.benoni,
+            'Pirc Defense: Austrian Attack': TAL_OPENING_NAMES.austrian_attack
+        },
+        difficulty: {},  // DIFFICULTY_LEVELS were written for Tal
+        messages: {
+            win: 'Mikhail Tal has won the game. "There are two types of sacrifices: correct ones, and mine."',
+            winOnTime: 'You ran out of time. Mikhail Tal wins by timeout! "Time is an illusion, but the clock is very real."',
+            defeated: 'Congratulations! You have defeated the Magician from Riga!'
+        }
+    },
+
+    petrosian: {
+        id: 'petrosian',
+        name: 'Tigran Petrosian',
+        shortName: 'Petrosian',
+        nickname: 'Iron Tigran',
+        years: '1929 - 1984',
+        title: '9th World Chess Champion',
+        icon: '♜',
+        stats: [
+            { value: '2645', label: 'Peak Rating' },
+            { value: '1963', label: 'World Champion' }
+        ],
+        quotes: [
+            'Chess is a game by its form, an art by its content and a science by the difficulty of gaining mastery in it.'
+        ],
+        traits: [
+            { icon: '🛡️', text: 'Prophylaxis' },
+            { icon: '🧱', text: 'Iron Defence' },
+            { icon: '♞', text: 'Knight Outposts' },
+            { icon: '⚖️', text: 'Positional Exchange Sacrifices' }
+        ],
+        styleWeights: PETROSIAN_STYLE_MODIFIERS,
+        openings: PETROSIAN_OPENINGS,
+        openingNotes: null,
+        difficulty: {
+            beginner: { sacrificeThreshold: -2, description: 'Learning to defend' },
+            intermediate: { sacrificeThreshold: -1.5, description: 'Solid and careful' },
+            advanced: { sacrificeThreshold: -1, description: 'Prophylactic play' },
+            master: { sacrificeThreshold: -1, description: 'Nothing left to attack' },
+            legend: { sacrificeThreshold: -0.5, description: 'Prime Petrosian' }
+        },
+        messages: {
+            win: 'Tigran Petrosian has won the game. Your attack was over before it began.',
+            winOnTime: 'You ran out of time. Tigran Petrosian wins by timeout!',
+            defeated: 'Congratulations! You have broken through Iron Tigran\'s defence!'
+        }
+    }
+};
+
+/**
+ * Get a personality profile by id
+ */
+function getPersonality(id) {
+    return PERSONALITIES[id] || PERSONALITIES[DEFAULT_PERSONALITY];
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PERSONALITIES,
+        PETROSIAN_STYLE_MODIFIERS,
+        DEFAULT_PERSONALITY,
+        getPersonality
+    };
+}
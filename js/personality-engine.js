@@ -0,0 +1,781 @@
+/**
+ * Personality Chess Engine
+ * Hybrid approach: the player's opening book + alpha-beta search with style heuristics from a personality profile
+ */
+
+// Cap on the style term added to searched scores (in centipawns),
+// so style can tip the balance between sound moves but never outvote the search
+const STYLE_BONUS_CAP = 150;
+
+// Depth of the search that measures how much each candidate mistake costs
+const MISTAKE_SEARCH_DEPTH = 2;
+
+// Below this budget (in milliseconds) the heuristic root ordering costs more time than it saves
+const ROOT_ORDERING_MIN_MS = 1000;
+
+// Candidate moves returned by analyze() unless asked otherwise
+const DEFAULT_MULTIPV = 3;
+
+class PersonalityEngine {
+    constructor(personalityId = DEFAULT_PERSONALITY) {
+        this.personality = getPersonality(personalityId);
+        this.level = 'intermediate';
+        this.difficulty = getDifficulty(this.level, this.personality);
+        this.isThinking = false;
+        this.game = null;
+        this.search = new TalSearch();
+        this.analysisSearch = null; // analyze()'s own search, made when first needed, so the game's stays replayable
+        this.backend = null;      // Optional UciBackend lending extra strength
+        this.backendFailed = false; // The backend failed this game; the built-in search plays on until the next
+        this.humanPacing = true;  // Pause like a human would; off when headless
+        this.releasePonder = null; // Ends the wait for a ponderhit while pondering
+        this.endPacing = null;     // Ends the human pause before a move
+        this.seed = createSeed();  // Recorded with each game so it can be replayed
+        this.decisionStart = 0;    // When the engine started on its current move; the budget counts from here
+        this.random = createRandom(this.seed);
+        this.decision = null;      // How the last move was chosen: { ply, source, timeMs, depth, nodes, rootScored,
+                                   // mistakeDepth, mistakeNodes, mistakeRootScored, tableSearches, score, mistakeKind,
+                                   // mistakeLoss }; score is what the search (or backend) made of the move played,
+                                   // in centipawns for the side to move without the style bonus
+        this.polyglotBook = null;  // A loaded Polyglot book, played instead of the personality's own
+    }
+
+    /**
+     * Set the difficulty level
+     */
+    setDifficulty(level) {
+        this.level = level;
+        this.difficulty = getDifficulty(level, this.personality);
+        console.log(`${this.personality.shortName} difficulty set to: ${this.difficulty.name} (${this.difficulty.rating} ELO)`);
+    }
+
+    /**
+     * Play as another personality from PERSONALITIES, keeping the difficulty level
+     */
+    setPersonality(id) {
+        this.personality = getPersonality(id);
+        this.difficulty = getDifficulty(this.level, this.personality);
+        this.bookIndex = null;
+        console.log(`Now playing as ${this.personality.name}`);
+    }
+
+    /**
+     * Seed the engine's randomness for a new game
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+    }
+
+    /**
+     * Play from a Polyglot book instead of the personality's own opening book
+     * @param {PolyglotBook|null} book - null returns to the personality's book
+     */
+    setPolyglotBook(book) {
+        this.polyglotBook = book;
+    }
+
+    /**
+     * Use a UCI engine for strength; the personality still picks among its candidates by style
+     * @param {UciBackend|null} backend - null returns to the built-in search
+     */
+    setBackend(backend) {
+        this.backend = backend;
+        this.backendFailed = false;
+
+        // Shake hands now, so a backend that loads slowly (a WASM build) is ready by the first move
+        if (backend) {
+            backend.init().catch(error => {
+                if (this.backend !== backend) return;
+                console.error('Strength backend did not start, using built-in search:', error.message);
+                this.backendFailed = true;
+            });
+        }
+    }
+
+    /**
+     * Start a new game: forget what the search learned and give a failed backend another chance
+     */
+    newGame() {
+        this.search.reset();
+        this.backendFailed = false;
+    }
+
+    /**
+     * Set the game reference
+     */
+    setGame(game) {
+        this.game = game;
+    }
+
+    /**
+     * Get the best move for the personality
+     * Uses hybrid approach: opening book first, then style-aware search
+     * @param {Object} limits - Optional search limits, see calculateBestMove; with a clock
+     *                          ({ remaining, increment } in seconds) and no timeMs the budget is planned from it;
+     *                          book: false skips the opening book
+     */
+    async getBestMove(game, playerColor, limits = {}) {
+        if (limits.ponder) {
+            return this.ponder(game, playerColor, limits);
+        }
+
+        this.game = game;
+        this.isThinking = true;
+        this.beginDecision(game);
+
+        const engineColor = playerColor === 'w' ? 'black' : 'white';
+        const fen = game.fen();
+
+        // First, check opening book
+        const bookMove = limits.book === false ? null : this.getOpeningBookMove(game, engineColor);
+        if (bookMove) {
+            // Known theory is played instantly, saving the clock for later
+            console.log(`${this.personality.shortName} plays from opening book: ${bookMove.from}${bookMove.to}`);
+            this.decision.source = 'book';
+            this.isThinking = false;
+            return bookMove;
+        }
+
+        if (limits.replay) {
+            limits = { ...limits, timeMs: limits.replay.timeMs };
+        } else if (limits.clock && !limits.timeMs) {
+            limits = { ...limits, timeMs: planMoveTime(game, this.difficulty, limits.clock) };
+        }
+
+        // Otherwise, search with the personality's style
+        const move = await this.calculateBestMove(game, limits);
+        this.isThinking = false;
+        return move;
+    }
+
+    /**
+     * Start deciding a move: a generator for this ply derived from the game's seed, and fresh killers and history
+     * The transposition table is kept from move to move (until a new game), so the choice depends on the position,
+     * the seed, the nodes each search ran for and the searches that filled the table before it (tableSearches)
+     */
+    beginDecision(game) {
+        const ply = game.history().length;
+        this.random = createRandom(deriveSeed(this.seed, ply));
+        this.decisionStart = Date.now();
+        this.search.clearHeuristics();
+        this.decision = {
+            ply, source: null, timeMs: null, depth: null, nodes: null, rootScored: null,
+            mistakeDepth: null, mistakeNodes: null, mistakeRootScored: null, tableSearches: this.search.searches,
+            score: null, mistakeKind: null, mistakeLoss: null
+        };
+    }
+
+    /**
+     * Replay a recorded game: decide every engine move again, in order, and compare it with the one played
+     * @param {Object} record - { seed, personality, difficulty, playerColor, moves (SAN), decisions }
+     *                          as kept by the app
+     * @returns {Promise<Array>} - [{ ply, expected, actual, match, sameTable }] per replayed decision;
+     *                             sameTable is false when the original search found a transposition table filled
+     *                             by searches the record doesn't hold (undone moves, a strength backend's turn);
+     *                             moves from a strength backend can't be replayed and are skipped
+     */
+    async replayGame(record) {
+        const saved = { personality: this.personality.id, level: this.level, seed: this.seed, humanPacing: this.humanPacing };
+        this.setPersonality(record.personality);
+        this.setDifficulty(record.difficulty);
+        this.setSeed(record.seed);
+        this.humanPacing = false;
+
+        const results = [];
+        try {
+            this.search.reset();
+            for (const decision of record.decisions) {
+                if (decision.source === 'backend') continue;
+
+                // The engine started this move with an empty table (a new game, or a restarted worker)
+                if (decision.tableSearches === 0) {
+                    this.search.reset();
+                }
+                const sameTable = this.search.searches === decision.tableSearches;
+
+                const game = new Chess();
+                record.moves.slice(0, decision.ply).forEach(san => game.move(san));
+
+                const move = await this.getBestMove(game, record.playerColor, { replay: decision });
+                const played = move ? game.move(move) : null;
+                const actual = played ? played.san : null;
+                const expected = record.moves[decision.ply];
+                results.push({ ply: decision.ply, expected, actual, match: actual === expected, sameTable });
+            }
+        } finally {
+            this.setPersonality(saved.personality);
+            this.setDifficulty(saved.level);
+            this.setSeed(saved.seed);
+            this.humanPacing = saved.humanPacing;
+        }
+
+        return results;
+    }
+
+    /**
+     * Think on the player's time about the position after the predicted reply
+     * The move is held back until ponderhit (or stop), then released at once
+     * @param {Object} limits - As for getBestMove, with the clock the engine will have on ponderhit
+     */
+    async ponder(game, playerColor, limits) {
+        const released = new Promise(resolve => { this.releasePonder = resolve; });
+
+        // The worker can't hear ponderhit mid-iteration, so plan no more than a normal move's time:
+        // an instant reply from the player then costs no more than not pondering would
+        const timeMs = planMoveTime(game, this.difficulty, limits.clock);
+
+        // The reply was thought out in advance, so there is no human pause before it
+        const humanPacing = this.humanPacing;
+        this.humanPacing = false;
+        let move;
+        try {
+            move = await this.getBestMove(game, playerColor, { ...limits, ponder: false, timeMs });
+        } finally {
+            this.humanPacing = humanPacing;
+        }
+
+        await released;
+        this.releasePonder = null;
+        return move;
+    }
+
+    /**
+     * The player made the predicted move: release the pondered reply
+     */
+    ponderhit() {
+        if (this.releasePonder) {
+            this.releasePonder();
+        }
+    }
+
+    /**
+     * Stop searching (or pondering, or pausing) and answer with the best move so far
+     */
+    stop() {
+        this.search.stop();
+        if (this.analysisSearch) {
+            this.analysisSearch.stop();
+        }
+        this.ponderhit();
+        if (this.endPacing) {
+            this.endPacing();
+        }
+    }
+
+    /**
+     * Guess the player's reply to a move from what the search learned about it
+     * @returns {Object|null} - { from, to, promotion }, or null with no idea
+     */
+    predictReply(game, move) {
+        if (!game.move(move)) return null;
+
+        const entry = this.search.tt.probe(computeZobristKey(game.fen()));
+        const reply = entry && entry.move ?
+            game.moves({ verbose: true }).find(m => moveToUci(m) === entry.move) : null;
+        game.undo();
+
+        return reply ? { from: reply.from, to: reply.to, promotion: reply.promotion } : null;
+    }
+
+    /**
+     * Choose a move from the opening book (a loaded Polyglot book, or the personality's own)
+     * Only legal moves for the engine's side count, and only while the game is within this level's book depth
+     * @param {Object} game - Chess.js game instance
+     * @param {string} color - The engine's colour ('white' or 'black')
+     * @returns {Object|null} - { from, to, promotion }, or null when out of book
+     */
+    getOpeningBookMove(game, color) {
+        const fen = game.fen();
+        if (game.turn() !== color[0]) return null;
+
+        const [, turn, , , , fullmove] = fen.split(' ');
+        const ply = ((parseInt(fullmove, 10) || 1) - 1) * 2 + (turn === 'b' ? 1 : 0);
+        if (ply >= this.difficulty.bookDepth) return null;
+
+        const entries = this.polyglotBook ? this.polyglotBook.lookup(fen) :
+            (this.getBookIndex(color).get(computeZobristKey(fen)) || []);
+        const legal = new Set(game.moves({ verbose: true }).map(moveToUci));
+        const candidates = entries.filter(entry => {
+            if (legal.has(entry.move)) return entry.weight > 0;
+            console.warn(`Illegal book move ${entry.move} in ${fen}`);
+            return false;
+        });
+        if (candidates.length === 0) return null;
+
+        return this.convertToMoveObject(this.chooseBookMove(candidates).move);
+    }
+
+    /**
+     * Weighted choice among book moves, sharpened toward the main line as bookVariety falls:
+     * at 1 each move is played as often as its weight says, at 0 only the heaviest is
+     */
+    chooseBookMove(candidates) {
+        const variety = this.difficulty.bookVariety;
+        if (variety <= 0) {
+            return candidates.reduce((best, entry) => (entry.weight > best.weight ? entry : best));
+        }
+
+        const weights = candidates.map(entry => Math.pow(entry.weight, 1 / variety));
+        let pick = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < candidates.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * Opening book keyed by Zobrist key, so positions reached by transposition are found too
+     * Moves are listed main line first, and weigh by their place in the list: [{ move, weight }]
+     */
+    getBookIndex(color) {
+        if (!this.bookIndex) {
+            const indexBook = (book, side) => {
+                const index = new Map();
+                for (const [position, moves] of Object.entries(book)) {
+                    // A position with the other side to move can never come up for this colour
+                    if (position.split(' ')[1] !== side) {
+                        console.warn(`Book position for the wrong side ignored: ${position}`);
+                        continue;
+                    }
+                    index.set(computeZobristKey(position), moves.map((move, i) => ({ move, weight: moves.length - i })));
+                }
+                return index;
+            };
+            this.bookIndex = {
+                white: indexBook(this.personality.openings.white, 'w'),
+                black: indexBook(this.personality.openings.black, 'b')
+            };
+        }
+
+        return this.bookIndex[color];
+    }
+
+    /**
+     * Convert UCI move notation to move object
+     */
+    convertToMoveObject(uci) {
+        if (!uci || uci.length < 4) return null;
+        return {
+            from: uci.substring(0, 2),
+            to: uci.substring(2, 4),
+            promotion: uci.length > 4 ? uci[4] : undefined
+        };
+    }
+
+    /**
+     * Calculate best move using alpha-beta search with style-aware evaluation
+     * @param {Object} limits - Optional { depth, timeMs } overriding the difficulty settings,
+     *                          onIteration(result) called after each completed depth,
+     *                          and replay, a recorded decision to repeat exactly
+     */
+    async calculateBestMove(game, limits = {}) {
+        const moves = game.moves({ verbose: true });
+        if (moves.length === 0) return null;
+
+        const timeMs = limits.timeMs || this.difficulty.thinkTime;
+        this.decision.timeMs = timeMs;
+
+        // Nearly out of time: no mistake, no backend, no style, just the first move of the cheap ordering
+        if (timeMs < MIN_SEARCH_TIME_MS) {
+            const result = await this.search.search(game, { depth: 0 });
+            this.decision.source = 'search';
+            this.decision.depth = 0;
+            return { from: result.move.from, to: result.move.to, promotion: result.move.promotion };
+        }
+
+        // Should we make an intentional mistake?
+        if (shouldMakeMistake(this.difficulty, this.random)) {
+            const mistake = await this.makeMistake(game, limits);
+            if (mistake) return mistake;
+        }
+
+        if (this.backend && !this.backendFailed && !limits.replay) {
+            const backendMove = await this.getBackendMove(game, limits);
+            if (backendMove) {
+                this.decision.source = 'backend';
+                return backendMove;
+            }
+        }
+
+        const startTime = Date.now();
+        const result = await this.search.search(game, {
+            // A replay stops at the recorded node, however long that takes on this machine, leaving the same table
+            depth: limits.replay ? limits.replay.depth + 1 : (limits.depth || this.difficulty.stockfishDepth),
+            nodes: limits.replay ? limits.replay.nodes : undefined,
+            rootScored: limits.replay ? limits.replay.rootScored : undefined,
+            timeMs: limits.replay ? Infinity : this.timeLeft(timeMs),
+            contempt: getContempt(this.difficulty),
+            rootBonus: (move, position) => this.getStyleBonus(move, position),
+            rootOrder: timeMs >= ROOT_ORDERING_MIN_MS ? (move, position) => this.evaluateMove(move, position) : null,
+            onIteration: limits.onIteration
+        });
+
+        this.decision.source = 'search';
+        this.decision.depth = result.depth;
+        this.decision.nodes = this.search.nodes;
+        this.decision.rootScored = this.search.rootScored;
+
+        // Don't answer faster than a human would at this level
+        await this.simulateThinking(Date.now() - startTime, timeMs);
+
+        // Add some randomness for lower difficulties, but only among moves that are nearly as good
+        const intensity = this.difficulty.talStyleIntensity;
+        const scoreWindow = 50 * (1 - intensity * 0.5);
+        const candidates = result.rootMoves.filter(rm => rm.score >= result.score - scoreWindow);
+        const topMoves = candidates.slice(0, Math.max(1, Math.ceil(3 * (1 - intensity * 0.5))));
+        const selected = topMoves[Math.floor(this.random() * topMoves.length)];
+        // Before depth 1 completes the moves only have their bonuses, not scores
+        this.decision.score = result.depth > 0 ? selected.score - selected.bonus : null;
+
+        console.log(`${this.personality.shortName} plays: ${selected.move.san} (score: ${selected.score.toFixed(1)}, depth: ${result.depth}, nodes: ${result.nodes})`);
+
+        return {
+            from: selected.move.from,
+            to: selected.move.to,
+            promotion: selected.move.promotion
+        };
+    }
+
+    /**
+     * What is left of a move's budget: the book probe, a mistake search that found nothing and anything else
+     * since the decision began count against it (at least a millisecond, as a time limit of 0 means none)
+     */
+    timeLeft(timeMs) {
+        return Math.max(1, timeMs - (Date.now() - this.decisionStart));
+    }
+
+    /**
+     * Play a plausible inferior move, as costly as this level's mistakes tend to be
+     * @returns {Promise<Object|null>} - null if no move is worse than the best
+     */
+    async makeMistake(game, limits) {
+        const timeMs = limits.timeMs || this.difficulty.thinkTime;
+        const startTime = Date.now();
+        if (limits.replay && limits.replay.mistakeNodes === null) return null;
+
+        // A shallow search with every root move scored exactly, so losses can be measured
+        const result = await this.search.search(game, {
+            depth: limits.replay ? limits.replay.mistakeDepth + 1 : MISTAKE_SEARCH_DEPTH,
+            nodes: limits.replay ? limits.replay.mistakeNodes : undefined,
+            rootScored: limits.replay ? limits.replay.mistakeRootScored : undefined,
+            timeMs: limits.replay ? Infinity : this.timeLeft(timeMs),
+            rootWindow: INFINITE_SCORE,
+            contempt: getContempt(this.difficulty),
+            rootBonus: (move, position) => this.getStyleBonus(move, position)
+        });
+        this.decision.mistakeDepth = result ? result.depth : 0;
+        this.decision.mistakeNodes = this.search.nodes;
+        this.decision.mistakeRootScored = this.search.rootScored;
+        if (!result || result.depth === 0) return null;
+
+        const mistake = chooseMistake(result.rootMoves, game, this.difficulty, this.random);
+        if (!mistake) return null;
+        const rootMove = result.rootMoves.find(rm => rm.move === mistake.move);
+        this.decision.source = 'mistake';
+        this.decision.score = rootMove.score - rootMove.bonus;
+        this.decision.mistakeKind = mistake.kind;
+        this.decision.mistakeLoss = mistake.loss;
+
+        await this.simulateThinking(Date.now() - startTime, timeMs);
+        console.log(`${this.personality.shortName} makes a mistake: ${mistake.move.san} (${mistake.kind}, about ${Math.round(mistake.loss)} cp)`);
+
+        return {
+            from: mistake.move.from,
+            to: mistake.move.to,
+            promotion: mistake.move.promotion
+        };
+    }
+
+    /**
+     * Analyze a position: the best moves by objective evaluation, each with its principal variation
+     * and the personality's style bonus kept apart from the score
+     * @param {string} fen - Position to analyze
+     * @param {Object} options - { multiPV, depth, timeMs }; depth and time default to the difficulty settings
+     * @returns {Promise<Array>} - [{ move (SAN), uci, score: { cp } | { mate }, bonus, pv (SAN), depth }] best first,
+     *                             scores from the side to move's point of view
+     */
+    async analyze(fen, options = {}) {
+        const game = new Chess(fen);
+        // The game's search must keep the table, node counts and heuristics its moves left, or replay goes astray
+        if (!this.analysisSearch) {
+            this.analysisSearch = new TalSearch();
+        }
+        const search = this.analysisSearch;
+
+        // No style bonus in the search, and every root move scored exactly
+        const result = await search.search(game, {
+            depth: options.depth || this.difficulty.stockfishDepth,
+            timeMs: options.timeMs || this.difficulty.thinkTime,
+            rootWindow: INFINITE_SCORE
+        });
+        if (!result) return [];
+
+        return result.rootMoves.slice(0, options.multiPV || DEFAULT_MULTIPV).map(rootMove => ({
+            move: rootMove.move.san,
+            uci: moveToUci(rootMove.move),
+            score: toUciScore(rootMove.score),
+            bonus: this.getStyleBonus(rootMove.move, game),
+            pv: search.principalVariation(game, rootMove.move).map(move => move.san),
+            depth: result.depth
+        }));
+    }
+
+    /**
+     * Ask the strength backend for candidates and rerank them in the personality's style
+     * @returns {Promise<Object|null>} - null if the backend failed, so the built-in search takes over
+     */
+    async getBackendMove(game, limits) {
+        const timeMs = limits.timeMs || this.difficulty.thinkTime;
+        const startTime = Date.now();
+        let ranked;
+
+        try {
+            const candidates = await this.backend.analyze(game.fen(), {
+                multiPV: BACKEND_MULTIPV,
+                depth: limits.depth || this.difficulty.stockfishDepth,
+                movetime: timeMs
+            });
+            ranked = rerankCandidates(candidates, game, this.difficulty);
+        } catch (error) {
+            // Waiting on it again every move would only drain the clock
+            console.error('Strength backend failed, using built-in search for the rest of the game:', error.message);
+            this.backendFailed = true;
+            return null;
+        }
+
+        if (ranked.length === 0) return null;
+
+        await this.simulateThinking(Date.now() - startTime, timeMs);
+
+        const selected = ranked[0];
+        this.decision.score = selected.score;
+        console.log(`${this.personality.shortName} plays: ${selected.move.san} (backend score: ${selected.score}, style: ${selected.bonus.toFixed(1)})`);
+
+        return {
+            from: selected.move.from,
+            to: selected.move.to,
+            promotion: selected.move.promotion
+        };
+    }
+
+    /**
+     * Style preference for a move, capped so it only breaks ties between sound moves
+     */
+    getStyleBonus(move, game) {
+        const bonus = calculateStyleBonus(move, game, this.difficulty);
+        return Math.max(-STYLE_BONUS_CAP, Math.min(STYLE_BONUS_CAP, bonus));
+    }
+
+    /**
+     * Evaluate a single move with style-aware scoring
+     * Used to order root moves before the search has scored them
+     * (the move is made and taken back on game)
+     */
+    evaluateMove(move, game) {
+        const parts = this.getMoveBreakdown(move, game);
+        return Object.values(parts).reduce((sum, score) => sum + score, 0);
+    }
+
+    /**
+     * The parts evaluateMove adds up, each in centipawns: capture, mate, complexity and activity,
+     * the style weights' parts from calculateStyleBreakdown, with check, sacrifice and kingAttack
+     * including the engine's own terms
+     */
+    getMoveBreakdown(move, game) {
+        // Base score from material
+        const pieceValues = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+        // Checkmate priority
+        game.move(move);
+        const givesMate = game.in_checkmate();
+        const givesCheck = game.in_check();
+        game.undo();
+
+        // Style bonuses
+        const parts = calculateStyleBreakdown(move, game, this.difficulty);
+
+        // Capture value
+        parts.capture = move.captured ? pieceValues[move.captured] * 1.5 : 0; // Tal loves captures
+
+        parts.mate = givesMate ? 100000 : 0; // Always take checkmate!
+        if (givesCheck && !givesMate) {
+            parts.check += this.difficulty.styleWeights.check;
+        }
+
+        // Sacrifice evaluation for Tal
+        parts.sacrifice += this.evaluateSacrifice(move, game);
+
+        // Position complexity bonus
+        parts.complexity = isComplexPosition(game) ?
+            this.difficulty.styleWeights.complexPosition * this.difficulty.talStyleIntensity : 0;
+
+        // King attack evaluation
+        parts.kingAttack += this.evaluateKingAttack(move, game);
+
+        // Piece activity
+        parts.activity = this.evaluatePieceActivity(move, game);
+
+        return parts;
+    }
+
+    /**
+     * Why the engine played a move, for the explanation panel
+     * @param {Object} game - Chess.js game instance, before the move
+     * @param {Object} move - { from, to, promotion } as returned by getBestMove
+     * @returns {Object|null} - { san, piece, captured, source, parts, total, score, mistake }, parts as in
+     *                          getMoveBreakdown, rounded to whole centipawns; source is how the move was chosen
+     *                          (see decision), score the search's verdict as { cp } or { mate } (null for a book move),
+     *                          and mistake { kind, loss } when the move was an intentional mistake
+     */
+    explainMove(game, move) {
+        const played = game.moves({ verbose: true }).find(m =>
+            m.from === move.from && m.to === move.to && (m.promotion || null) === (move.promotion || null)
+        );
+        if (!played) return null;
+
+        const decision = this.decision;
+        const parts = {};
+        for (const [term, score] of Object.entries(this.getMoveBreakdown(played, game))) {
+            parts[term] = Math.round(score);
+        }
+
+        return {
+            san: played.san,
+            piece: played.piece,
+            captured: played.captured || null,
+            source: decision ? decision.source : null,
+            parts,
+            total: Object.values(parts).reduce((sum, score) => sum + score, 0),
+            score: decision && decision.score !== null ? toUciScore(decision.score) : null,
+            mistake: decision && decision.source === 'mistake' ?
+                { kind: decision.mistakeKind, loss: Math.round(decision.mistakeLoss) } : null
+        };
+    }
+
+    /**
+     * Evaluate potential sacrifices (Tal's specialty)
+     * Uses the static exchange on the target square, so only real material losses count
+     */
+    evaluateSacrifice(move, game) {
+        let bonus = 0;
+
+        const exchange = staticExchangeEvaluation(game, move);
+        const materialLoss = -exchange / 100;
+
+        // Giving away more than this level would ever sacrifice is simply a blunder
+        if (materialLoss > Math.abs(this.difficulty.sacrificeThreshold)) {
+            return exchange;
+        }
+
+        // If sacrificing material...
+        if (materialLoss > 0) {
+            // Tal would sacrifice if it leads to attack
+            game.move(move);
+
+            // Check if sacrifice creates threats
+            const attackMoves = game.moves({ verbose: true }).filter(m =>
+                m.san.includes('+') || m.captured
+            );
+            game.undo();
+
+            if (attackMoves.length > 2) {
+                // Strong attack continues - worth it for Tal!
+                bonus += (100 * materialLoss) * this.difficulty.talStyleIntensity;
+            }
+
+            // Within this level's sacrifice threshold
+            bonus += 50 * this.difficulty.talStyleIntensity;
+        }
+
+        return bonus;
+    }
+
+    /**
+     * Evaluate attacking chances against enemy king
+     */
+    evaluateKingAttack(move, game) {
+        let score = 0;
+        const talColor = game.turn();
+        const enemyColor = talColor === 'w' ? 'b' : 'w';
+
+        const enemyKingSquare = findKingSquare(game, enemyColor);
+        if (!enemyKingSquare) return 0;
+
+        // Distance to enemy king
+        const distBefore = squareDistance(move.from, enemyKingSquare);
+        const distAfter = squareDistance(move.to, enemyKingSquare);
+
+        // Bonus for approaching the king
+        if (distAfter < distBefore) {
+            score += (distBefore - distAfter) * 20 * this.difficulty.talStyleIntensity;
+        }
+
+        // Extra bonus for pieces near enemy king
+        if (distAfter <= 3) {
+            score += 30 * this.difficulty.talStyleIntensity;
+        }
+
+        return score;
+    }
+
+    /**
+     * Evaluate piece activity
+     */
+    evaluatePieceActivity(move, game) {
+        let score = 0;
+
+        // Central squares bonus
+        const centralSquares = ['d4', 'd5', 'e4', 'e5', 'c4', 'c5', 'f4', 'f5'];
+        if (centralSquares.includes(move.to)) {
+            score += 25;
+        }
+
+        // Development bonus (moving from back rank)
+        const isWhite = move.color === 'w';
+        const backRank = isWhite ? '1' : '8';
+        if (move.from[1] === backRank && move.piece !== 'k') {
+            score += 20;
+        }
+
+        // Penalty for moving same piece twice in opening
+        if (game.history().length < 10) {
+            const history = game.history({ verbose: true });
+            const movedBefore = history.some(m => m.from === move.from || m.to === move.from);
+            if (movedBefore) {
+                score -= 15;
+            }
+        }
+
+        return score;
+    }
+
+    /**
+     * Simulate thinking time: most of the move's budget, as a human rarely uses all of it
+     * @param {number} alreadySpent - Milliseconds already spent searching
+     * @param {number} budget - Milliseconds planned for this move (never exceeded)
+     */
+    async simulateThinking(alreadySpent = 0, budget = this.difficulty.thinkTime) {
+        // Drawn even without pacing, so headless replays use up the same random numbers
+        const thinkTime = budget * (1 - this.random() * 0.3);
+        if (!this.humanPacing) return;
+
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, Math.max(0, thinkTime - alreadySpent));
+            this.endPacing = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        }).finally(() => {
+            this.endPacing = null;
+        });
+    }
+}
+
+// Global engine instance
+const personalityEngine = new PersonalityEngine();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PersonalityEngine, personalityEngine, STYLE_BONUS_CAP };
+}
@@ -0,0 +1,196 @@
+/**
+ * Tigran Petrosian's Opening Book
+ * Closed, solid systems from his games: queen's pawn and flank openings as White,
+ * the Caro-Kann, French and Queen's Gambit Declined as Black
+ */
+
+const PETROSIAN_OPENINGS = {
+    // Petrosian's responses as White
+    white: {
+        // Starting position - queen's pawn or a flank opening
+        'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq -': ['d2d4', 'g1f3', 'c2c4'],
+
+        // ============================================
+        // QUEEN'S PAWN
+        // ============================================
+
+        // 1.d4 Nf6
+        'rnbqkb1r/pppppppp/5n2/8/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -': ['c2c4', 'g1f3'],
+
+        // 1.d4 d5
+        'rnbqkbnr/ppp1pppp/8/3p4/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -': ['c2c4'],
+
+        // 1.d4 e6
+        'rnbqkbnr/pppp1ppp/4p3/8/3P4/8/PPP1PPPP/RNBQKBNR w KQkq -': ['c2c4'],
+
+        // 1.d4 Nf6 2.c4 e6 - Nf3 sidesteps the Nimzo-Indian
+        'rnbqkb1r/pppp1ppp/4pn2/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -': ['g1f3', 'b1c3'],
+
+        // Queen's Indian: 3...b6 4.a3 - the Petrosian System, keeping the bishop off b4
+        'rnbqkb1r/p1pp1ppp/1p2pn2/8/2PP4/5N2/PP2PPPP/RNBQKB1R w KQkq -': ['a2a3'],
+
+        // 3.Nf3 d5 - back into the Queen's Gambit Declined
+        'rnbqkb1r/ppp2ppp/4pn2/3p4/2PP4/5N2/PP2PPPP/RNBQKB1R w KQkq -': ['b1c3'],
+
+        // Nimzo-Indian: 3...Bb4 4.e3, the Rubinstein
+        'rnbqk2r/pppp1ppp/4pn2/8/1bPP4/2N5/PP2PPPP/R1BQKBNR w KQkq -': ['e2e3'],
+
+        // 2...c5 - gain space with d5
+        'rnbqkb1r/pp1ppppp/5n2/2p5/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -': ['d4d5'],
+
+        // ============================================
+        // AGAINST THE KING'S INDIAN
+        // ============================================
+
+        // 2...g6
+        'rnbqkb1r/pppppp1p/5np1/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -': ['b1c3'],
+
+        // 3...Bg7 4.e4
+        'rnbqk2r/ppppppbp/5np1/8/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -': ['e2e4'],
+
+        // 4...d6 5.Nf3
+        'rnbqk2r/ppp1ppbp/3p1np1/8/2PPP3/2N5/PP3PPP/R1BQKBNR w KQkq -': ['g1f3'],
+
+        // 5...0-0 6.Be2
+        'rnbq1rk1/ppp1ppbp/3p1np1/8/2PPP3/2N2N2/PP3PPP/R1BQKB1R w KQ -': ['f1e2'],
+
+        // 6...e5 7.d5 - the Petrosian Variation, closing the centre
+        'rnbq1rk1/ppp2pbp/3p1np1/4p3/2PPP3/2N2N2/PP2BPPP/R1BQK2R w KQ -': ['d4d5'],
+
+        // ============================================
+        // QUEEN'S GAMBIT
+        // ============================================
+
+        // 1.d4 d5 2.c4 e6
+        'rnbqkbnr/ppp2ppp/4p3/3p4/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -': ['b1c3'],
+
+        // Slav: 2...c6
+        'rnbqkbnr/pp2pppp/2p5/3p4/2PP4/8/PP2PPPP/RNBQKBNR w KQkq -': ['g1f3'],
+
+        // Queen's Gambit Accepted: 2...dxc4
+        'rnbqkbnr/ppp1pppp/8/8/2pP4/8/PP2PPPP/RNBQKBNR w KQkq -': ['g1f3'],
+
+        // QGD: 3...Nf6 - the Exchange Variation and its minority attack, or the Orthodox
+        'rnbqkb1r/ppp2ppp/4pn2/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR w KQkq -': ['c4d5', 'c1g5'],
+
+        // Exchange Variation: 4.cxd5 exd5 5.Bg5
+        'rnbqkb1r/ppp2ppp/5n2/3p4/3P4/2N5/PP2PPPP/R1BQKBNR w KQkq -': ['c1g5'],
+
+        // ============================================
+        // FLANK OPENINGS
+        // ============================================
+
+        // 1.Nf3 d5
+        'rnbqkbnr/ppp1pppp/8/3p4/8/5N2/PPPPPPPP/RNBQKB1R w KQkq -': ['d2d4', 'g2g3'],
+
+        // 1.Nf3 Nf6
+        'rnbqkb1r/pppppppp/5n2/8/8/5N2/PPPPPPPP/RNBQKB1R w KQkq -': ['c2c4', 'g2g3'],
+
+        // 1.c4 e5 - Reversed Sicilian
+        'rnbqkbnr/pppp1ppp/8/4p3/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -': ['b1c3'],
+
+        // 1.c4 Nf6
+        'rnbqkb1r/pppppppp/5n2/8/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -': ['b1c3', 'g1f3'],
+
+        // 1.c4 c5 - Symmetrical English
+        'rnbqkbnr/pp1ppppp/8/2p5/2P5/8/PP1PPPPP/RNBQKBNR w KQkq -': ['g1f3'],
+    },
+
+    // Petrosian's responses as Black
+    black: {
+        // ============================================
+        // AGAINST 1.e4 - CARO-KANN AND FRENCH
+        // ============================================
+
+        // 1.e4
+        'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq -': ['c7c6', 'e7e6'],
+
+        // Caro-Kann: 2.d4 d5
+        'rnbqkbnr/pp1ppppp/2p5/8/3PP3/8/PPP2PPP/RNBQKBNR b KQkq -': ['d7d5'],
+
+        // Caro-Kann Two Knights: 2.Nc3 d5
+        'rnbqkbnr/pp1ppppp/2p5/8/4P3/2N5/PPPP1PPP/R1BQKBNR b KQkq -': ['d7d5'],
+
+        // 2.Nf3 d5
+        'rnbqkbnr/pp1ppppp/2p5/8/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq -': ['d7d5'],
+
+        // Caro-Kann main line: 3.Nc3 dxe4
+        'rnbqkbnr/pp2pppp/2p5/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -': ['d5e4'],
+
+        // 3.Nd2 dxe4
+        'rnbqkbnr/pp2pppp/2p5/3p4/3PP3/8/PPPN1PPP/R1BQKBNR b KQkq -': ['d5e4'],
+
+        // Advance Variation: 3.e5 Bf5
+        'rnbqkbnr/pp2pppp/2p5/3pP3/3P4/8/PPP2PPP/RNBQKBNR b KQkq -': ['c8f5'],
+
+        // Exchange Variation: 3.exd5 cxd5
+        'rnbqkbnr/pp2pppp/2p5/3P4/3P4/8/PPP2PPP/RNBQKBNR b KQkq -': ['c6d5'],
+
+        // 4.Nxe4 - Classical Bf5 or Karpov's Nd7
+        'rnbqkbnr/pp2pppp/2p5/8/3PN3/8/PPP2PPP/R1BQKBNR b KQkq -': ['c8f5', 'b8d7'],
+
+        // French: 2.d4 d5
+        'rnbqkbnr/pppp1ppp/4p3/8/3PP3/8/PPP2PPP/RNBQKBNR b KQkq -': ['d7d5'],
+
+        // French: 3.Nc3 - Classical or Winawer
+        'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -': ['g8f6', 'f8b4'],
+
+        // French Advance: 3.e5 c5
+        'rnbqkbnr/ppp2ppp/4p3/3pP3/3P4/8/PPP2PPP/RNBQKBNR b KQkq -': ['c7c5'],
+
+        // French Tarrasch: 3.Nd2
+        'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/8/PPPN1PPP/R1BQKBNR b KQkq -': ['g8f6', 'c7c5'],
+
+        // French Exchange: 3.exd5 exd5
+        'rnbqkbnr/ppp2ppp/4p3/3P4/3P4/8/PPP2PPP/RNBQKBNR b KQkq -': ['e6d5'],
+
+        // ============================================
+        // AGAINST 1.d4 - NIMZO-INDIAN, QUEEN'S INDIAN AND QGD
+        // ============================================
+
+        // 1.d4
+        'rnbqkbnr/pppppppp/8/8/3P4/8/PPP1PPPP/RNBQKBNR b KQkq -': ['g8f6', 'd7d5'],
+
+        // 1.d4 Nf6 2.c4 e6
+        'rnbqkb1r/pppppppp/5n2/8/2PP4/8/PP2PPPP/RNBQKBNR b KQkq -': ['e7e6'],
+
+        // 2.Nf3
+        'rnbqkb1r/pppppppp/5n2/8/3P4/5N2/PPP1PPPP/RNBQKB1R b KQkq -': ['e7e6', 'g7g6'],
+
+        // Nimzo-Indian: 3.Nc3 Bb4
+        'rnbqkb1r/pppp1ppp/4pn2/8/2PP4/2N5/PP2PPPP/R1BQKBNR b KQkq -': ['f8b4'],
+
+        // 3.Nf3 - Queen's Indian or Queen's Gambit Declined
+        'rnbqkb1r/pppp1ppp/4pn2/8/2PP4/5N2/PP2PPPP/RNBQKB1R b KQkq -': ['b7b6', 'd7d5'],
+
+        // Catalan: 3.g3 d5
+        'rnbqkb1r/pppp1ppp/4pn2/8/2PP4/6P1/PP2PP1P/RNBQKBNR b KQkq -': ['d7d5'],
+
+        // Queen's Gambit Declined: 2.c4 e6
+        'rnbqkbnr/ppp1pppp/8/3p4/2PP4/8/PP2PPPP/RNBQKBNR b KQkq -': ['e7e6'],
+
+        // 2.Nf3 Nf6
+        'rnbqkbnr/ppp1pppp/8/3p4/3P4/5N2/PPP1PPPP/RNBQKB1R b KQkq -': ['g8f6'],
+
+        // QGD: 3.Nc3 Nf6
+        'rnbqkbnr/ppp2ppp/4p3/3p4/2PP4/2N5/PP2PPPP/R1BQKBNR b KQkq -': ['g8f6'],
+
+        // QGD: 3.Nf3 Nf6
+        'rnbqkbnr/ppp2ppp/4p3/3p4/2PP4/5N2/PP2PPPP/RNBQKB1R b KQkq -': ['g8f6'],
+
+        // ============================================
+        // AGAINST FLANK OPENINGS
+        // ============================================
+
+        // 1.c4
+        'rnbqkbnr/pppppppp/8/8/2P5/8/PP1PPPPP/RNBQKBNR b KQkq -': ['g8f6', 'e7e6'],
+
+        // 1.Nf3
+        'rnbqkbnr/pppppppp/8/8/8/5N2/PPPPPPPP/RNBQKB1R b KQkq -': ['g8f6', 'd7d5'],
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PETROSIAN_OPENINGS };
+}
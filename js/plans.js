@@ -0,0 +1,113 @@
+/**
+ * Plan Recognizer for Tal Chess
+ * Spots when a middlegame fits one of Tal's plans in TAL_OPENINGS.tacticalPatterns
+ * and rewards the moves that carry it out
+ * Patterns are written from White's side; for Black they are mirrored top to bottom
+ */
+
+// A king this exposed (see kingExposure) invites piece sacrifices even after castling
+const SACRIFICE_EXPOSURE = 0.5;
+
+/**
+ * Mirror a square for Black, so 'h2' means h7 for the second player
+ */
+function relativeSquare(square, color) {
+    return color === 'w' ? square : square[0] + (9 - parseInt(square[1], 10));
+}
+
+/**
+ * Which of Tal's plans fit the position for one side?
+ * @param {Object} game - Chess.js game instance
+ * @param {string} color - Side to find plans for ('w' or 'b')
+ * @returns {Array<string>} - Names of matching tacticalPatterns entries
+ */
+function recognizePlans(game, color) {
+    const board = game.board();
+    const enemy = color === 'w' ? 'b' : 'w';
+    const ownKing = findPiece(board, 'k', color);
+    const enemyKing = findPiece(board, 'k', enemy);
+    if (!ownKing || !enemyKing) return [];
+
+    const wing = col => (col >= 5 ? 'kingside' : col <= 2 ? 'queenside' : 'center');
+    const ownWing = wing(ownKing[1]);
+    const enemyWing = wing(enemyKing[1]);
+    const plans = [];
+
+    // Pawn storms pay off when the kings live on different wings - our pawns don't shelter our own king
+    if (enemyWing === 'kingside' && ownWing !== 'kingside') {
+        plans.push('kingsideAttack');
+    }
+    if (enemyWing === 'queenside' && ownWing !== 'queenside') {
+        plans.push('queensidePawnStorm');
+    }
+
+    // Breaking open the center is the way to punish a king that never castled
+    if (enemyWing === 'center') {
+        plans.push('centralBreakthrough');
+    }
+
+    // Pieces go in when the enemy king is stuck in the middle or already open
+    if (enemyWing === 'center' || kingExposure(board, enemy) >= SACRIFICE_EXPOSURE) {
+        plans.push('piecesSacrifice');
+    }
+
+    if (TAL_OPENINGS.tacticalPatterns.knightOutposts.some(square => isOutpost(board, relativeSquare(square, color), color))) {
+        plans.push('knightOutposts');
+    }
+
+    return plans;
+}
+
+/**
+ * Is a square an outpost for this side: supported by one of its pawns,
+ * and out of reach of every enemy pawn?
+ */
+function isOutpost(board, square, color) {
+    const [row, col] = squareToCoords(square);
+    const forward = color === 'w' ? -1 : 1;
+    const isPawn = (r, c, pawnColor) => {
+        const piece = r >= 0 && r < 8 && c >= 0 && c < 8 ? board[r][c] : null;
+        return piece && piece.type === 'p' && piece.color === pawnColor;
+    };
+
+    const supported = isPawn(row - forward, col - 1, color) || isPawn(row - forward, col + 1, color);
+    if (!supported) return false;
+
+    // Any enemy pawn still ahead of the square on a neighboring file could one day chase a piece off it
+    const enemy = color === 'w' ? 'b' : 'w';
+    for (let r = row + forward; r >= 0 && r < 8; r += forward) {
+        if (isPawn(r, col - 1, enemy) || isPawn(r, col + 1, enemy)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * How many recognized plans a move carries out
+ * @param {Object} move - Chess.js verbose move object
+ * @param {Object} game - Chess.js game instance (position before the move)
+ * @returns {number} - 0 if the move follows no plan
+ */
+function evaluatePlanMove(move, game) {
+    const patterns = TAL_OPENINGS.tacticalPatterns;
+    const from = relativeSquare(move.from, move.color);
+    const to = relativeSquare(move.to, move.color);
+
+    return recognizePlans(game, move.color).filter(plan => {
+        if (plan === 'knightOutposts') {
+            return move.piece === 'n' && patterns.knightOutposts.includes(to) &&
+                isOutpost(game.board(), move.to, move.color);
+        }
+        return patterns[plan].includes(from + to);
+    }).length;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        recognizePlans,
+        evaluatePlanMove,
+        isOutpost,
+        relativeSquare
+    };
+}
@@ -0,0 +1,42 @@
+/**
+ * Seeded Randomness for Tal Chess
+ * All of the engine's random choices come from these generators, so a game can be replayed from its seed
+ */
+
+/**
+ * Pseudo-random numbers from a 32-bit seed (mulberry32)
+ * @param {number} seed - Any integer; only the low 32 bits count
+ * @returns {Function} - Returns a number in [0, 1) on each call, like Math.random
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Seed for one ply of a game, so each decision can be reproduced without replaying the ones before it
+ */
+function deriveSeed(seed, ply) {
+    let h = (seed ^ Math.imul(ply + 1, 0x9e3779b1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * A fresh seed for a new game - the only place outside the UI that touches Math.random
+ */
+function createSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createRandom, deriveSeed, createSeed };
+}
@@ -0,0 +1,506 @@
+/**
+ * Search for Tal Chess
+ * Iterative-deepening negamax with alpha-beta pruning over chess.js positions
+ */
+
+// Search score bounds (in centipawns)
+const MATE_SCORE = 100000;
+const INFINITE_SCORE = 1000000;
+
+// Scores beyond this are "mate in N" rather than material
+const MATE_THRESHOLD = MATE_SCORE - 1000;
+
+// Material values used by the search (in centipawns)
+const SEARCH_PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+// Quiescence search: quiet checks are only tried this many plies past the horizon,
+// and a capture is skipped when even winning the piece can't reach alpha by this margin
+const QUIESCENCE_CHECK_PLIES = 1;
+const DELTA_MARGIN = 200;
+const MAX_QUIESCENCE_DEPTH = 12;
+
+// Longest principal variation read back from the transposition table
+const MAX_PV_LENGTH = 16;
+
+// Half-moves without a capture or pawn move after which the game is drawn
+const FIFTY_MOVE_PLIES = 100;
+
+class TalSearch {
+    constructor(options = {}) {
+        this.evaluate = options.evaluate || evaluateForSideToMove;
+        this.rootWindow = options.rootWindow || 50;
+        this.tt = options.tt || new TranspositionTable();
+        // An Int32Array on a SharedArrayBuffer: the search runs while its first element holds stopToken,
+        // so another thread stops it by changing the element
+        this.stopFlag = options.stopFlag || null;
+        this.stopToken = 0;
+        this.reset();
+    }
+
+    /**
+     * Forget everything learned in previous searches (new game)
+     */
+    reset() {
+        this.tt.clear();
+        this.searches = 0;    // Searches that have filled the transposition table since it was cleared
+        this.killers = [];
+        this.historyScores = {};
+        this.nodes = 0;
+        this.rootScored = 0;  // Root moves the last search had time to give the caller's heuristics
+        this.stopped = false;
+        this.keyStack = [];   // Keys of the positions before the current one, game history included
+        this.contempt = 0;
+    }
+
+    /**
+     * Forget the killer moves and history scores but keep the transposition table (between moves)
+     */
+    clearHeuristics() {
+        this.killers = [];
+        this.historyScores = {};
+    }
+
+    /**
+     * Abort the running search; the last completed iteration is kept
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Search a position
+     * @param {Object} game - Chess.js game instance (left untouched)
+     * @param {Object} limits - { depth, timeMs, nodes, rootScored, rootWindow, contempt, rootBonus(move, game),
+     *                          rootOrder(move, game), onIteration(result) }
+     *                          contempt is how much worse than equality a draw is for the side to move, in centipawns;
+     *                          nodes and rootScored repeat a recorded search: it stops after that many nodes, wherever
+     *                          it is, and only that many root moves get the caller's heuristics
+     * @returns {Promise<Object|null>} - { move, score, depth, nodes, rootMoves }
+     */
+    async search(game, limits = {}) {
+        const position = new Chess(game.fen());
+        // Depth 0 only orders the root moves, as a search that ran out of time before depth 1 did
+        const maxDepth = limits.depth === 0 ? 0 : Math.max(1, limits.depth || 1);
+        const timeMs = limits.timeMs || Infinity;
+        const rootWindow = limits.rootWindow || this.rootWindow;
+        const startTime = Date.now();
+
+        this.nodes = 0;
+        this.stopped = false;
+        this.deadline = startTime + timeMs;
+        this.nodeLimit = limits.nodes !== undefined ? limits.nodes : Infinity;
+        this.searches++;
+        this.killers = [];
+        this.contempt = limits.contempt || 0;
+        this.keyStack = repetitionHistory(game);
+
+        const rootKey = computeZobristKey(position.fen());
+        const rootEntry = this.tt.probe(rootKey);
+
+        // The caller's heuristics take milliseconds a move, so they stop at the deadline (or after as many moves
+        // as in the recorded search) and the rest keep the search's own cheap ordering, behind the moves scored
+        const moves = position.moves({ verbose: true });
+        this.orderMoves(moves, 0, rootEntry ? rootEntry.move : null);
+        const rootScoreLimit = limits.rootScored !== undefined ? limits.rootScored : Infinity;
+        this.rootScored = 0;
+
+        const rootMoves = moves.map(move => {
+            const scored = (limits.rootBonus || limits.rootOrder) &&
+                this.rootScored < rootScoreLimit && Date.now() <= this.deadline;
+            if (scored) this.rootScored++;
+
+            const bonus = scored && limits.rootBonus ? limits.rootBonus(move, position) : 0;
+            let order = move.order - INFINITE_SCORE;
+            if (scored) {
+                order = limits.rootOrder ? limits.rootOrder(move, position) : bonus;
+            }
+            // The best move from an earlier search of this position goes first
+            if (rootEntry && rootEntry.move === moveToUci(move)) {
+                order = INFINITE_SCORE;
+            }
+            return { move, bonus, order, score: -INFINITE_SCORE };
+        });
+        if (rootMoves.length === 0) return null;
+
+        // Until the first iteration completes, trust the caller's heuristics for ordering
+        rootMoves.sort((a, b) => b.order - a.order);
+
+        let result = null;
+
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            const completed = this.searchRoot(position, rootMoves, depth, rootWindow);
+            if (!completed) break;
+
+            rootMoves.sort((a, b) => b.score - a.score);
+            this.tt.store(rootKey, depth, TT_EXACT, rootMoves[0].score - rootMoves[0].bonus, moveToUci(rootMoves[0].move));
+
+            result = {
+                move: rootMoves[0].move,
+                score: rootMoves[0].score,
+                depth,
+                nodes: this.nodes,
+                rootMoves: rootMoves.map(rm => ({ move: rm.move, score: rm.score, bonus: rm.bonus }))
+            };
+
+            if (limits.onIteration) {
+                limits.onIteration(result);
+            }
+
+            // A forced mate has been found, or there is only one legal move
+            if (Math.abs(result.score) >= MATE_THRESHOLD || rootMoves.length === 1) break;
+
+            // The next iteration costs several times this one - don't start what can't finish
+            const elapsed = Date.now() - startTime;
+            if (elapsed > timeMs * 0.4) break;
+
+            // Let timers and messages through between iterations
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (this.stopped) break;
+        }
+
+        // Out of time before depth 1 finished: fall back to the best-looking move
+        if (!result) {
+            result = {
+                move: rootMoves[0].move,
+                score: rootMoves[0].bonus,
+                depth: 0,
+                nodes: this.nodes,
+                rootMoves: rootMoves.map(rm => ({ move: rm.move, score: rm.bonus, bonus: rm.bonus }))
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Search every root move to the given depth
+     * Moves within rootWindow of the best get exact scores so callers can choose among them
+     * @returns {boolean} - false if the iteration was aborted
+     */
+    searchRoot(position, rootMoves, depth, rootWindow) {
+        let best = -INFINITE_SCORE;
+
+        const rootKey = computeZobristKey(position.fen());
+
+        for (const rootMove of rootMoves) {
+            const floor = best - rootWindow;
+
+            this.keyStack.push(rootKey);
+            position.move(rootMove.move);
+            const score = -this.negamax(position, depth - 1, -INFINITE_SCORE, -(floor - rootMove.bonus), 1);
+            position.undo();
+            this.keyStack.pop();
+
+            if (this.stopped) return false;
+
+            rootMove.score = score + rootMove.bonus;
+            if (rootMove.score > best) {
+                best = rootMove.score;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Should the search stop before the next node? The clock and the stop flag are read at every node: with chess.js
+     * move generation and the full evaluation a node takes up to several milliseconds, far longer than reading them
+     */
+    outOfBudget() {
+        if (this.nodes >= this.nodeLimit || Date.now() > this.deadline ||
+            (this.stopFlag && Atomics.load(this.stopFlag, 0) !== this.stopToken)) {
+            this.stopped = true;
+        }
+        return this.stopped;
+    }
+
+    /**
+     * Negamax alpha-beta; scores are from the side to move's point of view
+     */
+    negamax(position, depth, alpha, beta, ply) {
+        if (this.outOfBudget()) return 0;
+        this.nodes++;
+
+        const fen = position.fen();
+        const key = computeZobristKey(fen);
+
+        // A repetition or the fifty-move rule ends the game on the spot (mate on the hundredth ply still counts)
+        const halfmoveClock = parseInt(fen.split(' ')[4], 10) || 0;
+        if (this.isRepetition(key, halfmoveClock) ||
+            (halfmoveClock >= FIFTY_MOVE_PLIES && !position.in_checkmate())) {
+            return this.drawScore(ply);
+        }
+
+        const entry = this.tt.probe(key);
+
+        if (entry && entry.depth >= depth) {
+            const stored = scoreFromTable(entry.score, ply);
+            if (entry.flag === TT_EXACT ||
+                (entry.flag === TT_LOWER && stored >= beta) ||
+                (entry.flag === TT_UPPER && stored <= alpha)) {
+                return stored;
+            }
+        }
+
+        // At the horizon, play out captures and checks before trusting the evaluation
+        if (depth <= 0) {
+            return this.quiescence(position, alpha, beta, ply, 0);
+        }
+
+        const moves = position.moves({ verbose: true });
+
+        if (moves.length === 0) {
+            // Prefer faster mates and slower losses
+            return position.in_check() ? -(MATE_SCORE - ply) : this.drawScore(ply);
+        }
+
+        this.orderMoves(moves, ply, entry ? entry.move : null);
+
+        const originalAlpha = alpha;
+        let bestMove = null;
+
+        for (const move of moves) {
+            this.keyStack.push(key);
+            position.move(move);
+            const score = -this.negamax(position, depth - 1, -beta, -alpha, ply + 1);
+            position.undo();
+            this.keyStack.pop();
+
+            if (this.stopped) return 0;
+
+            if (score >= beta) {
+                if (!move.captured) {
+                    this.recordQuietCutoff(move, depth, ply);
+                }
+                this.tt.store(key, depth, TT_LOWER, scoreToTable(beta, ply), moveToUci(move));
+                return beta;
+            }
+            if (score > alpha) {
+                alpha = score;
+                bestMove = moveToUci(move);
+            }
+        }
+
+        this.tt.store(key, depth, alpha > originalAlpha ? TT_EXACT : TT_UPPER, scoreToTable(alpha, ply), bestMove);
+        return alpha;
+    }
+
+    /**
+     * Quiescence search: extend captures, promotions and checks until the position is quiet
+     * @param {number} qDepth - Plies searched past the horizon
+     */
+    quiescence(position, alpha, beta, ply, qDepth) {
+        if (this.outOfBudget()) return 0;
+        this.nodes++;
+
+        const moves = position.moves({ verbose: true });
+        const inCheck = position.in_check();
+
+        if (moves.length === 0) {
+            return inCheck ? -(MATE_SCORE - ply) : this.drawScore(ply);
+        }
+
+        // Standing pat: the side to move can usually decline to continue the sequence
+        let standPat = -INFINITE_SCORE;
+        if (!inCheck) {
+            standPat = this.evaluate(position);
+            if (standPat >= beta || qDepth >= MAX_QUIESCENCE_DEPTH) return Math.min(standPat, beta);
+            if (standPat > alpha) alpha = standPat;
+        }
+
+        // In check every evasion counts; otherwise only the moves that change the material or the king's safety
+        const candidates = inCheck ? moves : moves.filter(move =>
+            move.captured || move.promotion || (qDepth < QUIESCENCE_CHECK_PLIES && move.san.includes('+'))
+        );
+        this.orderMoves(candidates, ply, null);
+
+        for (const move of candidates) {
+            if (!inCheck && !move.promotion) {
+                // Delta pruning: even winning the captured piece outright can't lift the score to alpha
+                const gain = move.captured ? SEARCH_PIECE_VALUES[move.captured] : 0;
+                if (standPat + gain + DELTA_MARGIN < alpha) continue;
+
+                // Captures and checks that just lose material are not worth playing out
+                if (staticExchangeEvaluation(position, move) < 0) continue;
+            }
+
+            position.move(move);
+            const score = -this.quiescence(position, -beta, -alpha, ply + 1, qDepth + 1);
+            position.undo();
+
+            if (this.stopped) return 0;
+
+            if (score >= beta) return beta;
+            if (score > alpha) alpha = score;
+        }
+
+        return alpha;
+    }
+
+    /**
+     * Has this position occurred before, in the game or on the path to it?
+     * Only positions since the last capture or pawn move can repeat, and only every other ply
+     * has the same side to move. One repetition is enough: what can be repeated once can be again.
+     */
+    isRepetition(key, halfmoveClock) {
+        const stack = this.keyStack;
+        const oldest = Math.max(0, stack.length - halfmoveClock);
+        for (let i = stack.length - 2; i >= oldest; i -= 2) {
+            if (stack[i] === key) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Score of a drawn position for the side to move at this ply: contempt counts against the side
+     * to move at the root, so it avoids draws unless clearly worse and its opponent is thought to seek them
+     */
+    drawScore(ply) {
+        return ply % 2 === 0 ? -this.contempt : this.contempt;
+    }
+
+    /**
+     * Order moves: hash move, promotions and captures (MVV-LVA), then killers, then history
+     */
+    orderMoves(moves, ply, hashMove) {
+        const killers = this.killers[ply] || [];
+
+        for (const move of moves) {
+            let order = 0;
+            if (hashMove && moveToUci(move) === hashMove) {
+                order += 100000;
+            }
+            if (move.promotion) {
+                order += 20000 + SEARCH_PIECE_VALUES[move.promotion];
+            }
+            if (move.captured) {
+                order += 10000 + SEARCH_PIECE_VALUES[move.captured] * 10 - SEARCH_PIECE_VALUES[move.piece] / 10;
+            } else if (killers.includes(move.from + move.to)) {
+                order += 5000;
+            } else {
+                order += this.historyScores[move.piece + move.to] || 0;
+            }
+            move.order = order;
+        }
+
+        moves.sort((a, b) => b.order - a.order);
+    }
+
+    /**
+     * Read the principal variation after a root move back from the transposition table
+     * @param {Object} game - Chess.js game instance (left untouched)
+     * @param {Object} firstMove - Root move the line starts with
+     * @returns {Array} - Verbose chess.js moves, starting with firstMove
+     */
+    principalVariation(game, firstMove, maxLength = MAX_PV_LENGTH) {
+        const position = new Chess(game.fen());
+        const seen = new Set();
+        const pv = [];
+
+        let move = position.move(firstMove);
+        while (move && pv.length < maxLength) {
+            pv.push(move);
+
+            // A repeated position would send the line round in circles
+            const key = computeZobristKey(position.fen());
+            if (seen.has(key)) break;
+            seen.add(key);
+
+            const entry = this.tt.probe(key);
+            if (!entry || !entry.move) break;
+            move = position.move({
+                from: entry.move.substring(0, 2),
+                to: entry.move.substring(2, 4),
+                promotion: entry.move[4]
+            });
+        }
+
+        return pv;
+    }
+
+    /**
+     * Remember a quiet move that caused a beta cutoff
+     */
+    recordQuietCutoff(move, depth, ply) {
+        const key = move.from + move.to;
+        const killers = this.killers[ply] || (this.killers[ply] = []);
+        if (killers[0] !== key) {
+            killers.unshift(key);
+            killers.length = Math.min(killers.length, 2);
+        }
+
+        // Capped below the killer bonus so history never outranks a killer
+        const historyKey = move.piece + move.to;
+        this.historyScores[historyKey] = Math.min(4000, (this.historyScores[historyKey] || 0) + depth * depth);
+    }
+}
+
+/**
+ * Keys of the positions that came before the current one and could still repeat:
+ * those since the last capture or pawn move, oldest first
+ * @param {Object} game - Chess.js game instance (its moves are taken back and replayed)
+ */
+function repetitionHistory(game) {
+    const halfmoveClock = parseInt(game.fen().split(' ')[4], 10) || 0;
+    const undone = [];
+    const keys = [];
+
+    for (let i = 0; i < halfmoveClock; i++) {
+        const move = game.undo();
+        if (!move) break;
+        undone.push(move);
+        keys.unshift(computeZobristKey(game.fen()));
+    }
+    for (let i = undone.length - 1; i >= 0; i--) {
+        game.move(undone[i]);
+    }
+
+    return keys;
+}
+
+/**
+ * Move in UCI notation (e2e4, e7e8q)
+ */
+function moveToUci(move) {
+    return move.from + move.to + (move.promotion || '');
+}
+
+/**
+ * Convert a search score to UCI form: centipawns, or moves to mate (negative when getting mated)
+ * @returns {Object} - { cp } or { mate }
+ */
+function toUciScore(score) {
+    if (Math.abs(score) >= MATE_THRESHOLD) {
+        const plies = MATE_SCORE - Math.abs(score);
+        return { mate: Math.sign(score) * Math.ceil(plies / 2) };
+    }
+    return { cp: Math.round(score) };
+}
+
+/**
+ * Mate scores are stored relative to the node, not the root, so they stay valid at any ply
+ */
+function scoreToTable(score, ply) {
+    if (score >= MATE_THRESHOLD) return score + ply;
+    if (score <= -MATE_THRESHOLD) return score - ply;
+    return score;
+}
+
+function scoreFromTable(score, ply) {
+    if (score >= MATE_THRESHOLD) return score - ply;
+    if (score <= -MATE_THRESHOLD) return score + ply;
+    return score;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TalSearch,
+        moveToUci,
+        toUciScore,
+        MATE_SCORE,
+        MATE_THRESHOLD,
+        INFINITE_SCORE,
+        SEARCH_PIECE_VALUES
+    };
+}
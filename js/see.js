@@ -0,0 +1,142 @@
+/**
+ * Static Exchange Evaluation for Tal Chess
+ * Plays out the captures on one square, cheapest attacker first, to find what a move really wins or loses
+ */
+
+// Exchange values (in centipawns); the king can only take last, so it is "worth" everything
+const SEE_PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 20000 };
+
+const KNIGHT_OFFSETS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const KING_OFFSETS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+const DIAGONAL_DIRECTIONS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+const STRAIGHT_DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Net material the moving side gains (or loses, if negative) by playing a move,
+ * assuming both sides keep capturing on the target square only while it pays
+ * @param {Object} game - Chess.js game instance (position before the move)
+ * @param {Object} move - Chess.js verbose move object
+ * @returns {number} - Material balance of the exchange in centipawns
+ */
+function staticExchangeEvaluation(game, move) {
+    const board = game.board();
+    const [toRow, toCol] = squareToCoords(move.to);
+    const [fromRow, fromCol] = squareToCoords(move.from);
+
+    const gain = [];
+    gain[0] = move.captured ? SEE_PIECE_VALUES[move.captured] : 0;
+
+    let pieceOnTarget = SEE_PIECE_VALUES[move.piece];
+    if (move.promotion) {
+        gain[0] += SEE_PIECE_VALUES[move.promotion] - SEE_PIECE_VALUES.p;
+        pieceOnTarget = SEE_PIECE_VALUES[move.promotion];
+    }
+
+    // Make the move on the scratch board
+    board[toRow][toCol] = { type: move.promotion || move.piece, color: move.color };
+    board[fromRow][fromCol] = null;
+    if (move.flags && move.flags.includes('e')) {
+        board[fromRow][toCol] = null;
+    }
+
+    let side = move.color === 'w' ? 'b' : 'w';
+    let depth = 0;
+
+    for (;;) {
+        const attacker = findLeastValuableAttacker(board, toRow, toCol, side);
+        if (!attacker) break;
+
+        depth++;
+        gain[depth] = pieceOnTarget - gain[depth - 1];
+        pieceOnTarget = SEE_PIECE_VALUES[attacker.type];
+
+        // Moving the attacker off its square may open an x-ray behind it
+        board[attacker.row][attacker.col] = null;
+        board[toRow][toCol] = { type: attacker.type, color: side };
+        side = side === 'w' ? 'b' : 'w';
+    }
+
+    // Each side may stop capturing whenever continuing would lose material
+    while (depth > 0) {
+        gain[depth - 1] = -Math.max(-gain[depth - 1], gain[depth]);
+        depth--;
+    }
+
+    return gain[0];
+}
+
+/**
+ * Find the cheapest piece of the given color attacking a square
+ * @returns {Object|null} - { type, row, col }
+ */
+function findLeastValuableAttacker(board, row, col, color) {
+    const attackers = findAttackers(board, row, col, color);
+    if (attackers.length === 0) return null;
+
+    return attackers.reduce((best, attacker) =>
+        SEE_PIECE_VALUES[attacker.type] < SEE_PIECE_VALUES[best.type] ? attacker : best
+    );
+}
+
+/**
+ * List every piece of the given color attacking a square (board rows run from rank 8 down)
+ * @returns {Array} - [{ type, row, col }]
+ */
+function findAttackers(board, row, col, color) {
+    const attackers = [];
+    const pieceAt = (r, c) => (r >= 0 && r < 8 && c >= 0 && c < 8 ? board[r][c] : null);
+    const addIf = (r, c, types) => {
+        const piece = pieceAt(r, c);
+        if (piece && piece.color === color && types.includes(piece.type)) {
+            attackers.push({ type: piece.type, row: r, col: c });
+        }
+    };
+
+    // Pawns attack diagonally forward, so look one row "behind" the target from their side
+    const pawnRow = color === 'w' ? row + 1 : row - 1;
+    addIf(pawnRow, col - 1, ['p']);
+    addIf(pawnRow, col + 1, ['p']);
+
+    KNIGHT_OFFSETS.forEach(([dr, dc]) => addIf(row + dr, col + dc, ['n']));
+    KING_OFFSETS.forEach(([dr, dc]) => addIf(row + dr, col + dc, ['k']));
+
+    const slide = (directions, types) => {
+        directions.forEach(([dr, dc]) => {
+            let r = row + dr;
+            let c = col + dc;
+            while (r >= 0 && r < 8 && c >= 0 && c < 8) {
+                if (board[r][c]) {
+                    addIf(r, c, types);
+                    break;
+                }
+                r += dr;
+                c += dc;
+            }
+        });
+    };
+    slide(DIAGONAL_DIRECTIONS, ['b', 'q']);
+    slide(STRAIGHT_DIRECTIONS, ['r', 'q']);
+
+    return attackers;
+}
+
+/**
+ * Convert an algebraic square to [row, col] in game.board() order
+ */
+function squareToCoords(square) {
+    return [8 - parseInt(square[1], 10), square.charCodeAt(0) - 97];
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        staticExchangeEvaluation,
+        findAttackers,
+        squareToCoords,
+        SEE_PIECE_VALUES,
+        KNIGHT_OFFSETS,
+        KING_OFFSETS,
+        DIAGONAL_DIRECTIONS,
+        STRAIGHT_DIRECTIONS
+    };
+}
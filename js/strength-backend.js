@@ -0,0 +1,376 @@
+/**
+ * Strength Backend for Tal Chess
+ * Borrows playing strength from any UCI engine (a native process or a WASM build in a worker)
+ * and lets Tal choose among its MultiPV candidates by style
+ */
+
+// Candidates requested from the backend for each move
+const BACKEND_MULTIPV = 5;
+
+// Moves this close (in centipawns) to the backend's best are "equally good" for reranking;
+// the window widens with talStyleIntensity so stronger Tal levels gamble more
+const RERANK_TOLERANCE_BASE = 15;
+const RERANK_TOLERANCE_PER_INTENSITY = 60;
+
+// How long the backend may take to answer uci (once, while it loads), and isready when there is no move time to go by
+const BACKEND_READY_TIMEOUT_MS = 5000;
+
+// How far past its movetime a move's analysis may run before the backend is given up on:
+// this share of the movetime, up to a limit, so a hung backend can't cost much of the clock
+const BACKEND_MOVE_GRACE_FRACTION = 0.25;
+const BACKEND_MOVE_GRACE_MS = 2000;
+
+// How long a local engine gets to exit after quit before it is killed
+const BACKEND_QUIT_GRACE_MS = 500;
+
+/**
+ * Speaks UCI to an engine over a line-based transport
+ * A transport needs send(line), onLine(callback), onClose(callback) and close();
+ * onClose is called once, with an Error, when the engine can no longer be reached.
+ */
+class UciBackend {
+    constructor(transport) {
+        this.transport = transport;
+        this.listeners = [];
+        this.initialized = null;
+        this.closedError = null;  // Why the engine went away, once it has
+        this.pending = new Set(); // Reject functions of the running waitFor calls
+
+        transport.onLine(line => {
+            this.listeners.slice().forEach(listener => listener(line));
+        });
+        transport.onClose(error => {
+            this.closedError = error;
+            this.pending.forEach(reject => reject(error));
+        });
+    }
+
+    /**
+     * Send a command line to the engine; lines to an engine that has gone away are dropped
+     */
+    send(line) {
+        if (!this.closedError) {
+            this.transport.send(line);
+        }
+    }
+
+    /**
+     * Resolve with the first engine line matching the predicate
+     * Rejects if the engine goes away first, or after timeoutMs when given
+     */
+    waitFor(predicate, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            if (this.closedError) {
+                reject(this.closedError);
+                return;
+            }
+
+            let timer = null;
+            const finish = () => {
+                clearTimeout(timer);
+                this.listeners = this.listeners.filter(l => l !== listener);
+                this.pending.delete(fail);
+            };
+            const fail = (error) => {
+                finish();
+                reject(error);
+            };
+            const listener = (line) => {
+                if (predicate(line)) {
+                    finish();
+                    resolve(line);
+                }
+            };
+
+            this.listeners.push(listener);
+            this.pending.add(fail);
+            if (timeoutMs !== undefined) {
+                timer = setTimeout(() => fail(new Error(`UCI engine did not answer within ${timeoutMs} ms`)), timeoutMs);
+            }
+        });
+    }
+
+    /**
+     * Handshake once: uci -> uciok
+     */
+    init(timeoutMs = BACKEND_READY_TIMEOUT_MS) {
+        if (!this.initialized) {
+            const uciok = this.waitFor(line => line.trim() === 'uciok', timeoutMs);
+            this.send('uci');
+            // A failed handshake is tried again on the next call
+            this.initialized = uciok.catch(error => {
+                this.initialized = null;
+                throw error;
+            });
+        }
+        return this.initialized;
+    }
+
+    /**
+     * Ask for MultiPV lines in a position
+     * @param {string} fen - Position to analyze
+     * @param {Object} options - { multiPV, depth, movetime }
+     * @returns {Promise<Array>} - [{ move, score: { cp } | { mate }, depth, pv }] best first
+     */
+    async analyze(fen, options = {}) {
+        await this.init();
+
+        // One deadline for the rest; without a movetime a depth-limited search has none to hold it to
+        const grace = Math.min(BACKEND_MOVE_GRACE_MS, options.movetime * BACKEND_MOVE_GRACE_FRACTION);
+        const deadline = options.movetime ? Date.now() + options.movetime + grace : null;
+        const timeLeft = () => (deadline ? Math.max(0, deadline - Date.now()) : undefined);
+
+        this.send(`setoption name MultiPV value ${options.multiPV || BACKEND_MULTIPV}`);
+        this.send(`position fen ${fen}`);
+        const readyok = this.waitFor(line => line.trim() === 'readyok',
+            deadline ? timeLeft() : BACKEND_READY_TIMEOUT_MS);
+        this.send('isready');
+        await readyok;
+
+        const lines = new Map();
+        const collect = (line) => {
+            const info = parseUciInfo(line);
+            if (info) lines.set(info.multipv, info);
+        };
+        this.listeners.push(collect);
+
+        const go = ['go'];
+        if (options.depth) go.push('depth', options.depth);
+        if (options.movetime) go.push('movetime', options.movetime);
+
+        const bestmove = this.waitFor(line => line.startsWith('bestmove'), timeLeft());
+        this.send(go.join(' '));
+        try {
+            await bestmove;
+        } catch (error) {
+            // Don't let a late bestmove answer the next analysis
+            this.stop();
+            throw error;
+        } finally {
+            this.listeners = this.listeners.filter(l => l !== collect);
+        }
+
+        return [...lines.values()]
+            .sort((a, b) => a.multipv - b.multipv)
+            .map(({ multipv, ...candidate }) => candidate);
+    }
+
+    /**
+     * Cut the running analysis short
+     */
+    stop() {
+        this.send('stop');
+    }
+
+    /**
+     * Shut the engine down
+     */
+    quit() {
+        this.send('quit');
+        this.transport.close();
+    }
+}
+
+/**
+ * Transport for a UCI engine running in a Web Worker (e.g. a WASM Stockfish build)
+ */
+class WorkerTransport {
+    constructor(url) {
+        this.worker = new Worker(url);
+        this.callback = null;
+        this.closeCallback = null;
+        this.worker.onmessage = (event) => {
+            String(event.data).split('\n').forEach(line => {
+                if (line && this.callback) this.callback(line);
+            });
+        };
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            if (this.closeCallback) this.closeCallback(new Error(`UCI engine worker failed: ${event.message}`));
+        };
+    }
+
+    send(line) {
+        this.worker.postMessage(line);
+    }
+
+    onLine(callback) {
+        this.callback = callback;
+    }
+
+    onClose(callback) {
+        this.closeCallback = callback;
+    }
+
+    close() {
+        this.worker.terminate();
+    }
+}
+
+/**
+ * Transport for a UCI engine running as a local process (Node only)
+ */
+class ProcessTransport {
+    constructor(commandLine) {
+        const { spawn } = require('child_process');
+        const readline = require('readline');
+
+        // The command runs through a shell, so outside Windows the engine gets a process group of its own:
+        // killing the group reaches the engine, not just the shell that started it
+        this.groupKill = process.platform !== 'win32';
+        this.process = spawn(commandLine, { shell: true, detached: this.groupKill, stdio: ['pipe', 'pipe', 'inherit'] });
+        this.lines = readline.createInterface({ input: this.process.stdout });
+        this.closeCallback = null;
+        this.closed = false;
+
+        // An engine that hangs must not outlive the program that started it
+        this.killOnExit = () => this.kill();
+        process.on('exit', this.killOnExit);
+
+        // A command that doesn't start, or an engine that dies, must not take the caller down with it:
+        // writing to its stdin then fails with EPIPE
+        const fail = (error) => {
+            if (this.closed) return;
+            this.closed = true;
+            if (this.closeCallback) this.closeCallback(error);
+        };
+        this.process.on('error', error => fail(new Error(`UCI engine "${commandLine}" failed: ${error.message}`)));
+        this.process.on('exit', (code, signal) => {
+            process.removeListener('exit', this.killOnExit);
+            fail(new Error(`UCI engine "${commandLine}" exited (${signal || `code ${code}`})`));
+        });
+        this.process.stdin.on('error', error => fail(new Error(`UCI engine "${commandLine}" closed its input: ${error.message}`)));
+    }
+
+    send(line) {
+        if (!this.closed) {
+            this.process.stdin.write(line + '\n');
+        }
+    }
+
+    onLine(callback) {
+        this.lines.on('line', callback);
+    }
+
+    onClose(callback) {
+        this.closeCallback = callback;
+    }
+
+    close() {
+        this.process.stdin.end();
+        // Give the engine time to act on quit, without keeping the program alive for it
+        setTimeout(() => this.kill(), BACKEND_QUIT_GRACE_MS).unref();
+    }
+
+    /**
+     * Kill the engine if it is still running
+     */
+    kill() {
+        if (!this.process.pid || this.process.exitCode !== null || this.process.signalCode !== null) return;
+        try {
+            if (this.groupKill) {
+                process.kill(-this.process.pid, 'SIGKILL');
+            } else {
+                this.process.kill();
+            }
+        } catch (error) {
+            // Gone in the meantime
+        }
+    }
+}
+
+/**
+ * Parse a UCI "info" line carrying a principal variation
+ * Everything after "string" is free text, so "info string ..." is never a line
+ * @returns {Object|null} - { multipv, move, score, depth, pv }
+ */
+function parseUciInfo(line) {
+    const words = line.trim().split(/\s+/);
+    const text = words.indexOf('string');
+    const tokens = text === -1 ? words : words.slice(0, text);
+    if (tokens[0] !== 'info' || !tokens.includes('pv')) return null;
+
+    const info = { multipv: 1, depth: 0, score: null, pv: [] };
+
+    for (let i = 1; i < tokens.length; i++) {
+        switch (tokens[i]) {
+            case 'multipv':
+                info.multipv = parseInt(tokens[++i], 10);
+                break;
+            case 'depth':
+                info.depth = parseInt(tokens[++i], 10);
+                break;
+            case 'score':
+                info.score = { [tokens[i + 1]]: parseInt(tokens[i + 2], 10) };
+                i += 2;
+                break;
+            case 'pv':
+                info.pv = tokens.slice(i + 1);
+                i = tokens.length;
+                break;
+        }
+    }
+
+    if (!info.score || info.pv.length === 0) return null;
+    info.move = info.pv[0];
+    return info;
+}
+
+/**
+ * Convert a UCI score to centipawns, with mates beyond any material score
+ */
+function uciScoreToCentipawns(score) {
+    if ('mate' in score) {
+        return Math.sign(score.mate) * (MATE_SCORE - Math.abs(score.mate) * 2);
+    }
+    return score.cp;
+}
+
+/**
+ * Rerank backend candidates by Tal-style bonus among those within the tolerance window of the best
+ * @param {Array} candidates - From UciBackend.analyze, best first
+ * @param {Object} game - Chess.js game instance for the analyzed position
+ * @param {Object} difficulty - Current difficulty settings
+ * @returns {Array} - [{ move (verbose), score, bonus }] in Tal's order of preference
+ */
+function rerankCandidates(candidates, game, difficulty) {
+    const legalMoves = game.moves({ verbose: true });
+    const tolerance = RERANK_TOLERANCE_BASE + RERANK_TOLERANCE_PER_INTENSITY * difficulty.talStyleIntensity;
+
+    const scored = candidates
+        .map(candidate => ({
+            move: legalMoves.find(m => m.from + m.to + (m.promotion || '') === candidate.move),
+            score: uciScoreToCentipawns(candidate.score)
+        }))
+        .filter(candidate => candidate.move);
+    if (scored.length === 0) return [];
+
+    const bestScore = Math.max(...scored.map(c => c.score));
+
+    scored.forEach(candidate => {
+        candidate.bonus = calculateStyleBonus(candidate.move, game, difficulty);
+        candidate.withinTolerance = candidate.score >= bestScore - tolerance;
+    });
+
+    // Within the window style decides; outside it the backend's order stands
+    return scored.sort((a, b) => {
+        if (a.withinTolerance !== b.withinTolerance) return a.withinTolerance ? -1 : 1;
+        if (a.withinTolerance) return (b.bonus - a.bonus) || (b.score - a.score);
+        return b.score - a.score;
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UciBackend,
+        WorkerTransport,
+        ProcessTransport,
+        parseUciInfo,
+        uciScoreToCentipawns,
+        rerankCandidates,
+        BACKEND_MULTIPV,
+        BACKEND_QUIT_GRACE_MS,
+        BACKEND_MOVE_GRACE_FRACTION
+    };
+}
@@ -0,0 +1,275 @@
+/**
+ * Style Features for Tal Chess
+ * Position detectors behind the TAL_STYLE_MODIFIERS weights that look past a single move:
+ * defensive moves, trades, open lines and exposed kings
+ */
+
+// Above this advantage (in centipawns) trading down is fine, even for Tal
+const SIMPLIFY_WINNING_MARGIN = 200;
+
+// An exchange this close to even (in centipawns) is a trade, not a win or a sacrifice
+const EVEN_TRADE_MARGIN = 100;
+
+// A diagonal ray this long (in empty squares) counts as open
+const OPEN_DIAGONAL_LENGTH = 4;
+
+/**
+ * Is this a purely defensive move? Quiet, it takes pieces out of danger,
+ * and it creates no new threats of its own
+ */
+function isDefensiveMove(move, game) {
+    if (move.captured || move.promotion || (move.san && move.san.includes('+'))) return false;
+
+    const enemy = move.color === 'w' ? 'b' : 'w';
+    const before = game.board();
+    const after = applyMoveToBoard(before, move);
+
+    const ownDangerBefore = countThreatenedPieces(before, move.color);
+    const ownDangerAfter = countThreatenedPieces(after, move.color);
+    const threatsBefore = countThreatenedPieces(before, enemy, true);
+    const threatsAfter = countThreatenedPieces(after, enemy, true);
+
+    return ownDangerAfter < ownDangerBefore && threatsAfter <= threatsBefore;
+}
+
+/**
+ * Is this an even piece trade offered while not clearly winning?
+ */
+function isSimplifyingTrade(move, game) {
+    if (!move.captured || move.captured === 'p') return false;
+
+    // A capture that wins or loses material is not a trade
+    const exchange = staticExchangeEvaluation(game, move);
+    if (Math.abs(exchange) >= EVEN_TRADE_MARGIN) return false;
+
+    // Nothing to trade if the piece can't be taken back
+    const enemy = move.color === 'w' ? 'b' : 'w';
+    const after = applyMoveToBoard(game.board(), move);
+    const [toRow, toCol] = squareToCoords(move.to);
+    if (findAttackers(after, toRow, toCol, enemy).length === 0) return false;
+
+    const score = evaluatePosition(game.fen());
+    const advantage = move.color === 'w' ? score : -score;
+    return advantage < SIMPLIFY_WINNING_MARGIN;
+}
+
+/**
+ * How much more open the lines of the moving rook, bishop or queen become
+ * @returns {number} - Change in openness, from -1 (left an open file) to 1 (reached one)
+ */
+function evaluateOpenLines(move, game) {
+    if (!['r', 'b', 'q'].includes(move.piece)) return 0;
+
+    const before = game.board();
+    const after = applyMoveToBoard(before, move);
+    const [fromRow, fromCol] = squareToCoords(move.from);
+    const [toRow, toCol] = squareToCoords(move.to);
+
+    return lineOpenness(after, toRow, toCol) - lineOpenness(before, fromRow, fromCol);
+}
+
+/**
+ * Openness of the lines through a rook, bishop or queen: 1 for an open file,
+ * 0.5 for a half-open file or an open diagonal
+ */
+function lineOpenness(board, row, col) {
+    const piece = board[row][col];
+    let openness = 0;
+
+    if (piece.type === 'r' || piece.type === 'q') {
+        let ownPawns = 0;
+        let enemyPawns = 0;
+        for (let r = 0; r < 8; r++) {
+            const other = board[r][col];
+            if (other && other.type === 'p') {
+                if (other.color === piece.color) ownPawns++;
+                else enemyPawns++;
+            }
+        }
+        if (ownPawns === 0) {
+            openness = enemyPawns === 0 ? 1 : 0.5;
+        }
+    }
+
+    if (piece.type === 'b' || piece.type === 'q') {
+        const longestRay = Math.max(...DIAGONAL_DIRECTIONS.map(([dr, dc]) => {
+            let length = 0;
+            let r = row + dr;
+            let c = col + dc;
+            while (r >= 0 && r < 8 && c >= 0 && c < 8 && !board[r][c]) {
+                length++;
+                r += dr;
+                c += dc;
+            }
+            return length;
+        }));
+        if (longestRay >= OPEN_DIAGONAL_LENGTH) {
+            openness = Math.max(openness, 0.5);
+        }
+    }
+
+    return openness;
+}
+
+/**
+ * How exposed a king is: missing shield pawns, open files beside it, and being out in the open
+ * @returns {number} - 0 (safe) to 1 (wide open)
+ */
+function kingExposure(board, color) {
+    const king = findPiece(board, 'k', color);
+    if (!king) return 0;
+
+    const [row, col] = king;
+    const forward = color === 'w' ? -1 : 1;
+    const homeRow = color === 'w' ? 7 : 0;
+    const isOwnPawn = (r, c) => {
+        const piece = r >= 0 && r < 8 ? board[r][c] : null;
+        return piece && piece.type === 'p' && piece.color === color;
+    };
+
+    let missingShield = 0;
+    let openFiles = 0;
+    let files = 0;
+
+    for (let c = Math.max(0, col - 1); c <= Math.min(7, col + 1); c++) {
+        files++;
+        if (!isOwnPawn(row + forward, c) && !isOwnPawn(row + 2 * forward, c)) {
+            missingShield++;
+        }
+
+        let fileHasOwnPawn = false;
+        for (let r = 0; r < 8; r++) {
+            if (isOwnPawn(r, c)) fileHasOwnPawn = true;
+        }
+        if (!fileHasOwnPawn) openFiles++;
+    }
+
+    let exposure = (missingShield + openFiles) / (2 * files);
+
+    // A king driven off its first two ranks is exposed whatever its pawns look like
+    if (Math.abs(row - homeRow) > 1) {
+        exposure += 0.5;
+    }
+
+    return Math.min(1, exposure);
+}
+
+/**
+ * Reward for prying the enemy king open, or for joining the attack on an exposed king
+ * @returns {number} - Roughly 0 to 1.5, to be scaled by the kingUnsafe weight
+ */
+function evaluateKingExposure(move, game) {
+    const enemy = move.color === 'w' ? 'b' : 'w';
+    const before = game.board();
+    const after = applyMoveToBoard(before, move);
+
+    const exposureBefore = kingExposure(before, enemy);
+    const exposureAfter = kingExposure(after, enemy);
+    let score = Math.max(0, exposureAfter - exposureBefore);
+
+    const king = findPiece(after, 'k', enemy);
+    if (king && exposureAfter > 0) {
+        const [toRow, toCol] = squareToCoords(move.to);
+        let hitsZone = false;
+
+        for (const [dr, dc] of KING_OFFSETS.concat([[0, 0]])) {
+            const r = king[0] + dr;
+            const c = king[1] + dc;
+            if (r < 0 || r > 7 || c < 0 || c > 7) continue;
+            if (findAttackers(after, r, c, move.color).some(a => a.row === toRow && a.col === toCol)) {
+                hitsZone = true;
+                break;
+            }
+        }
+
+        if (hitsZone) {
+            score += exposureAfter;
+        }
+    }
+
+    return score;
+}
+
+/**
+ * Count pieces of one color that are attacked and either undefended or attacked by something cheaper
+ * @param {boolean} anyAttack - Count every attacked piece, even when the attack wins nothing
+ */
+function countThreatenedPieces(board, color, anyAttack = false) {
+    const enemy = color === 'w' ? 'b' : 'w';
+    let count = 0;
+
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = board[row][col];
+            if (!piece || piece.color !== color || piece.type === 'k') continue;
+
+            const attackers = findAttackers(board, row, col, enemy);
+            if (attackers.length === 0) continue;
+            if (anyAttack) {
+                count++;
+                continue;
+            }
+
+            const defended = findAttackers(board, row, col, color).length > 0;
+            const cheapestAttacker = Math.min(...attackers.map(a => SEE_PIECE_VALUES[a.type]));
+            if (!defended || cheapestAttacker < SEE_PIECE_VALUES[piece.type]) {
+                count++;
+            }
+        }
+    }
+
+    return count;
+}
+
+/**
+ * Play a chess.js verbose move on a copy of a game.board() array
+ */
+function applyMoveToBoard(board, move) {
+    const next = board.map(row => row.slice());
+    const [fromRow, fromCol] = squareToCoords(move.from);
+    const [toRow, toCol] = squareToCoords(move.to);
+
+    next[toRow][toCol] = { type: move.promotion || move.piece, color: move.color };
+    next[fromRow][fromCol] = null;
+
+    if (move.flags.includes('e')) {
+        next[fromRow][toCol] = null;
+    }
+    if (move.flags.includes('k')) {
+        next[fromRow][5] = next[fromRow][7];
+        next[fromRow][7] = null;
+    }
+    if (move.flags.includes('q')) {
+        next[fromRow][3] = next[fromRow][0];
+        next[fromRow][0] = null;
+    }
+
+    return next;
+}
+
+/**
+ * Find the [row, col] of the first piece of a type and color
+ */
+function findPiece(board, type, color) {
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const piece = board[row][col];
+            if (piece && piece.type === type && piece.color === color) return [row, col];
+        }
+    }
+    return null;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isDefensiveMove,
+        isSimplifyingTrade,
+        evaluateOpenLines,
+        evaluateKingExposure,
+        kingExposure,
+        countThreatenedPieces,
+        applyMoveToBoard,
+        findPiece
+    };
+}
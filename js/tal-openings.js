@@ -2,6 +2,9 @@
  * Mikhail Tal's Opening Book
  * Based on his actual games and preferred openings
  * Expanded with data from famous Tal games
+ * Each position lists Tal's moves main line first; the first is played most often
+ * For a book weighted by what he played and how it went, build one from a PGN file of his games
+ * with tools/build-book.js and load it as a Polyglot book
  */
 
 const TAL_OPENINGS = {
@@ -48,21 +51,12 @@ const TAL_OPENINGS = {
         // 1.e4 e5 - King's Gambit or Italian
         'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq -': ['g1f3', 'f2f4'],
 
-        // King's Gambit: 2.f4
-        'rnbqkbnr/pppp1ppp/8/4p3/4PP2/8/PPPP2PP/RNBQKBNR b KQkq -': ['e5f4'], // Accept it!
-
         // King's Gambit Accepted: 3.Nf3
         'rnbqkbnr/pppp1ppp/8/8/4Pp2/8/PPPP2PP/RNBQKBNR w KQkq -': ['g1f3'],
 
         // Italian Game: 2.Nf3 Nc6 3.Bc4
         'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq -': ['f1c4', 'd2d4'],
 
-        // Italian/Scotch continuation
-        'r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq -': ['f1c5', 'g8f6'],
-
-        // Scotch Game: 3.d4
-        'r1bqkbnr/pppp1ppp/2n5/4p3/3PP3/5N2/PPP2PPP/RNBQKB1R b KQkq -': ['e5d4'],
-
         // ============================================
         // FRENCH DEFENSE
         // ============================================
@@ -73,12 +67,6 @@ const TAL_OPENINGS = {
         // French: 2.d4 d5
         'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -': ['b1c3', 'e4e5'],
 
-        // French Advance: 3.e5
-        'rnbqkbnr/ppp2ppp/4p3/3pP3/3P4/8/PPP2PPP/RNBQKBNR b KQkq -': ['c7c5'],
-
-        // French Classical/Steinitz: 3.Nc3
-        'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -': ['g8f6', 'd5e4'],
-
         // ============================================
         // CARO-KANN DEFENSE
         // ============================================
@@ -89,9 +77,6 @@ const TAL_OPENINGS = {
         // Caro-Kann: 2.d4 d5
         'rnbqkbnr/pp2pppp/2p5/3p4/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -': ['b1c3', 'e4e5'],
 
-        // Caro-Kann Advance
-        'rnbqkbnr/pp2pppp/2p5/3pP3/3P4/8/PPP2PPP/RNBQKBNR b KQkq -': ['c8f5'],
-
         // ============================================
         // PIRC/MODERN DEFENSE
         // ============================================
@@ -102,8 +87,7 @@ const TAL_OPENINGS = {
         // Pirc: 2.d4 Nf6 3.Nc3
         'rnbqkb1r/ppp1pppp/3p1n2/8/3PP3/8/PPP2PPP/RNBQKBNR w KQkq -': ['b1c3'],
 
-        // Austrian Attack setup
-        'rnbqkb1r/ppp1pppp/3p1n2/8/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -': ['g7g6'],
+        // Austrian Attack setup: 3...g6 4.f4
         'rnbqkb1r/ppp1pp1p/3p1np1/8/3PP3/2N5/PPP2PPP/R1BQKBNR w KQkq -': ['f2f4'], // Austrian Attack!
 
         // ============================================
@@ -223,6 +207,31 @@ const TAL_OPENINGS = {
 
         // Benoni main line: fianchetto
         'rnbqkb1r/pp3ppp/3ppn2/2pP4/4P3/2N5/PP3PPP/R1BQKBNR b KQkq -': ['g7g6'],
+
+        // ============================================
+        // OTHER REPLIES TO 1.e4 (when the game starts elsewhere)
+        // ============================================
+
+        // King's Gambit: 2.f4
+        'rnbqkbnr/pppp1ppp/8/4p3/4PP2/8/PPPP2PP/RNBQKBNR b KQkq -': ['e5f4'], // Accept it!
+
+        // Italian Game: 3.Bc4 - Giuoco Piano or Two Knights
+        'r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq -': ['f8c5', 'g8f6'],
+
+        // Scotch Game: 3.d4
+        'r1bqkbnr/pppp1ppp/2n5/4p3/3PP3/5N2/PPP2PPP/RNBQKB1R b KQkq -': ['e5d4'],
+
+        // French Advance: 3.e5
+        'rnbqkbnr/ppp2ppp/4p3/3pP3/3P4/8/PPP2PPP/RNBQKBNR b KQkq -': ['c7c5'],
+
+        // French Classical/Steinitz: 3.Nc3
+        'rnbqkbnr/ppp2ppp/4p3/3p4/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -': ['g8f6', 'd5e4'],
+
+        // Caro-Kann Advance: 3.e5
+        'rnbqkbnr/pp2pppp/2p5/3pP3/3P4/8/PPP2PPP/RNBQKBNR b KQkq -': ['c8f5'],
+
+        // Pirc: 3.Nc3 g6
+        'rnbqkb1r/ppp1pppp/3p1n2/8/3PP3/2N5/PPP2PPP/R1BQKBNR b KQkq -': ['g7g6'],
     },
 
     // Famous Tal sacrifices and tactical patterns
@@ -235,14 +244,85 @@ const TAL_OPENINGS = {
         knightOutposts: ['c5', 'd5', 'e5', 'f5'],
     },
 
-    // Tal's famous game snippets
+    // Tal's famous games, replayed move by move in "Replay the Legend"
+    // Commentary is keyed by move number: '16.' after White's 16th move, '21...' after Black's 21st
     famousGames: {
-        // Tal vs Larsen, Candidates 1965 - Sicilian Najdorf
-        'talVsLarsen1965': '1.e4 c5 2.Nf3 d6 3.d4 cxd4 4.Nxd4 Nf6 5.Nc3 a6',
-        // Fischer vs Tal, Bled 1959 - Sicilian Najdorf
-        'fischerVsTal1959': '1.e4 c5 2.Nf3 d6 3.d4 cxd4 4.Nxd4 Nf6 5.Nc3 a6 6.Bc4',
-        // Botvinnik vs Tal, WC 1960 Game 6 - King's Indian
-        'botvinnikVsTal1960': '1.d4 Nf6 2.c4 g6 3.Nc3 Bg7 4.e4 d6 5.f3 O-O 6.Nge2 e5',
+        // Tal vs Larsen, Candidates final 1965, game 10 - Sicilian Scheveningen
+        'talVsLarsen1965': {
+            white: 'Mikhail Tal',
+            black: 'Bent Larsen',
+            event: 'Candidates Final, Bled',
+            year: 1965,
+            result: '1-0',
+            opening: 'sicilian_scheveningen',
+            moves: '1.e4 c5 2.Nf3 Nc6 3.d4 cxd4 4.Nxd4 e6 5.Nc3 d6 6.Be3 Nf6 7.f4 Be7 8.Qf3 O-O ' +
+                '9.O-O-O Qc7 10.Ndb5 Qb8 11.g4 a6 12.Nd4 Nxd4 13.Bxd4 b5 14.g5 Nd7 15.Bd3 b4 ' +
+                '16.Nd5 exd5 17.exd5 f5 18.Rde1 Rf7 19.h4 Bb7 20.Bxf5 Rxf5 21.Rxe7 Ne5 22.Qe4 Qf8 ' +
+                '23.fxe5 Rf4 24.Qe3 Rf3 25.Qe2 Qxe7 26.Qxf3 dxe5 27.Re1 Rd8 28.Rxe5 Qd6 29.Qf4 Rf8 ' +
+                '30.Qe4 b3 31.axb3 Rf1+ 32.Kd2 Qb4+ 33.c3 Qd6 34.Bc5 Qxc5 35.Re8+ Rf8 36.Qe6+ Kh8 37.Qf7',
+            commentary: {
+                '9.': 'Castling on opposite sides: from here on it is a race between the two pawn storms.',
+                '11.': 'The g-pawn sets off towards the black king.',
+                '16.': 'The famous knight sacrifice. Tal gives a piece to open the e-file while Black\'s pieces are still on the queenside.',
+                '17.': 'The e-file is open, the bishop on e7 is a target and the d3 bishop looks at h7.',
+                '20.': 'A second piece goes, but 21.Rxe7 takes one back and puts a rook on the seventh rank.',
+                '23.': 'Both pieces are back, Tal is two pawns up and the black king has no shelter left.',
+                '34.': 'The last deflection: the queen is pulled away from the defence of the back rank.',
+                '37.': 'Qxf8+ and mate cannot be stopped. Larsen resigned.'
+            }
+        },
+        // Fischer vs Tal, Candidates 1959 (Bled) - Sicilian Najdorf, Sozin Attack
+        'fischerVsTal1959': {
+            white: 'Robert Fischer',
+            black: 'Mikhail Tal',
+            event: 'Candidates Tournament, Bled',
+            year: 1959,
+            result: '0-1',
+            opening: 'sicilian_najdorf',
+            moves: '1.e4 c5 2.Nf3 d6 3.d4 cxd4 4.Nxd4 Nf6 5.Nc3 a6 6.Bc4 e6 7.Bb3 b5 8.f4 b4 9.Na4 Nxe4 ' +
+                '10.O-O g6 11.f5 gxf5 12.Nxf5 Rg8 13.Bd5 Ra7 14.Bxe4 exf5 15.Bxf5 Re7 16.Bxc8 Qxc8 ' +
+                '17.Bf4 Qc6 18.Qf3 Qxa4 19.Bxd6 Qc6 20.Bxb8 Qb6+ 21.Kh1 Qxb8 22.Qc6+ Rd7 23.Rae1+ Be7 ' +
+                '24.Rxf7 Kxf7 25.Qe6+ Kf8 26.Qxd7 Qd6 27.Qb7 Rg6 28.c3 a5 29.Qc8+ Kg7 30.Qc4 Bd8 ' +
+                '31.cxb4 axb4 32.g3 Qc6+ 33.Re4 Qxc4 34.Rxc4 Rb6 35.Kg2 Kf6 36.Kf3 Ke5 37.Ke3 Bg5+ ' +
+                '38.Ke2 Kd5 39.Kd3 Bf6 40.Rc2 Be5 41.Re2 Rf6 42.Rc2 Rf3+ 43.Ke2 Rf7 44.Kd3 Bd4 45.a3 b3 ' +
+                '46.Rc8 Bxb2 47.Rd8+ Kc6 48.Rb8 Rf3+ 49.Kc4 Rc3+ 50.Kb4 Kc7 51.Rb5 Ba1 52.a4 b2',
+            commentary: {
+                '6.': 'The Sozin: Fischer\'s bishop aims at e6 and f7 before Black has finished developing.',
+                '8.': 'Fischer goes for f5 at once.',
+                '9...': 'Tal takes the e4 pawn and lets his king stay in the centre.',
+                '12.': 'A knight sacrifice on f5, and the position catches fire.',
+                '13...': 'The rook defends along the seventh rank, an unusual way to bring it into play.',
+                '18...': 'The stranded knight on a4 falls; Tal is a piece up for the moment.',
+                '24.': 'Fischer gives the exchange to drive the black king into the open.',
+                '34...': 'The queens are off, and Tal\'s bishop is worth more than White\'s two extra pawns.',
+                '52...': 'The b-pawn cannot be stopped. Fischer resigned; Tal won all four of their games in this tournament.'
+            }
+        },
+        // Botvinnik vs Tal, World Championship 1960, game 6 - King's Indian
+        'botvinnikVsTal1960': {
+            white: 'Mikhail Botvinnik',
+            black: 'Mikhail Tal',
+            event: 'World Championship, Moscow, game 6',
+            year: 1960,
+            result: '0-1',
+            opening: 'kings_indian',
+            moves: '1.c4 Nf6 2.Nf3 g6 3.g3 Bg7 4.Bg2 O-O 5.d4 d6 6.Nc3 Nbd7 7.O-O e5 8.e4 c6 9.h3 Qb6 ' +
+                '10.d5 cxd5 11.cxd5 Nc5 12.Ne1 Bd7 13.Nd3 Nxd3 14.Qxd3 Rfc8 15.Rb1 Nh5 16.Be3 Qb4 ' +
+                '17.Qe2 Rc4 18.Rfc1 Rac8 19.Kh2 f5 20.exf5 Bxf5 21.Ra1 Nf4 22.gxf4 exf4 23.Bd2 Qxb2 ' +
+                '24.Rab1 f3 25.Rxb2 fxe2 26.Rb3 Rd4 27.Be1 Be5+ 28.Kg1 Bf4 29.Nxe2 Rxc1 30.Nxd4 Rxe1+ ' +
+                '31.Bf1 Be4 32.Ne2 Be5 33.f4 Bf6 34.Rxb7 Bxd5 35.Rc7 Bxa2 36.Rxa7 Bc4 37.Ra8+ Kf7 ' +
+                '38.Ra7+ Ke6 39.Ra3 d5 40.Kf2 Bh4+ 41.Kg2 Kd6 42.Ng3 Bxg3 43.Bxc4 dxc4 44.Kxg3 Kd5 ' +
+                '45.Ra7 c3 46.Rc7 Kd4 47.Rd7+',
+            commentary: {
+                '8...': 'With ...c6 and ...Qb6 Tal gets ready to open the c-file.',
+                '17...': 'The rook comes to c4, the first step of a queenside invasion.',
+                '19...': 'Tal opens the f-file against the white king.',
+                '21...': 'The famous knight sacrifice: after 22.gxf4 exf4 the g7 bishop and the f-pawn join the attack.',
+                '24...': 'The f-pawn attacks the queen; after 25.Rxb2 fxe2 Black wins material back and keeps a pawn on e2.',
+                '30...': 'The smoke has cleared: Black\'s two bishops and active rook dominate the endgame.',
+                '47.': 'The black c-pawn is too strong and Botvinnik resigned.'
+            }
+        }
     }
 };
 
@@ -0,0 +1,70 @@
+/**
+ * Time Management for Tal Chess
+ * Turns what is left on Tal's clock into a thinking budget for the next move
+ */
+
+// However late in the game, plan as if at least this many moves remain
+const MIN_MOVES_TO_GO = 20;
+
+// Typical game length in moves, for estimating how many are left
+const EXPECTED_GAME_LENGTH = 60;
+
+// Share of the increment spent on the move that earns it
+const INCREMENT_USAGE = 0.8;
+
+// No single move may take more than this share of the remaining time
+const MAX_TIME_FRACTION = 0.2;
+
+// Kept back (in milliseconds) for the worker round trip and the board update
+const MOVE_OVERHEAD_MS = 300;
+
+// Shortest budget planned (in milliseconds)
+const MIN_MOVE_TIME_MS = 20;
+
+// Shortest budget worth handing the search (in milliseconds): scoring the root moves alone can take longer,
+// so with less the first move of the search's cheap ordering (the hash move, then captures) is played at once
+const MIN_SEARCH_TIME_MS = 50;
+
+// Critical or complex positions get this much more time
+const COMPLEXITY_FACTOR = 1.5;
+
+// With no clock, Tal takes longer than the level's usual pace
+const UNLIMITED_PACE_FACTOR = 2;
+
+// However much is on the clock, a level never thinks longer than this many times its usual pace
+const MAX_PACE_FACTOR = 3;
+
+/**
+ * Plan how long to think about the next move
+ * @param {Object} game - Chess.js game instance (Tal to move)
+ * @param {Object} difficulty - Current difficulty settings
+ * @param {Object|null} clock - { remaining, increment } in seconds for Tal's side; remaining is Infinity without a clock
+ * @returns {number} - Thinking budget in milliseconds
+ */
+function planMoveTime(game, difficulty, clock) {
+    const critical = game.in_check() || isComplexPosition(game);
+    const factor = critical ? COMPLEXITY_FACTOR : 1;
+
+    if (!clock || !isFinite(clock.remaining)) {
+        return difficulty.thinkTime * UNLIMITED_PACE_FACTOR * factor;
+    }
+
+    const remainingMs = clock.remaining * 1000;
+    const incrementMs = (clock.increment || 0) * 1000;
+    const moveNumber = parseInt(game.fen().split(' ')[5], 10) || 1;
+    const movesToGo = Math.max(MIN_MOVES_TO_GO, EXPECTED_GAME_LENGTH - moveNumber);
+
+    // An even share of the clock, at no more than a few times this level's pace
+    const share = remainingMs / movesToGo + incrementMs * INCREMENT_USAGE;
+    const budget = Math.min(share, difficulty.thinkTime * MAX_PACE_FACTOR) * factor;
+
+    // Hard ceiling, so no amount of thinking can lose on time
+    const ceiling = Math.min(remainingMs * MAX_TIME_FRACTION, remainingMs - MOVE_OVERHEAD_MS);
+
+    return Math.max(MIN_MOVE_TIME_MS, Math.min(budget, ceiling));
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { planMoveTime, MIN_SEARCH_TIME_MS };
+}
@@ -0,0 +1,159 @@
+/**
+ * Zobrist Hashing for Tal Chess
+ * Position keys and a bounded transposition table shared by the search and the opening book
+ */
+
+// Transposition table bound types
+const TT_EXACT = 0;
+const TT_LOWER = 1;   // Score is at least this (beta cutoff)
+const TT_UPPER = 2;   // Score is at most this (failed low)
+
+const ZOBRIST_PIECES = 'PNBRQKpnbrqk';
+
+/**
+ * Random key material: 12 pieces x 64 squares, 4 castling rights, 8 en passant files, side to move.
+ * Keys are 53 bits (a high and a low part) so they stay exact as plain JS numbers.
+ */
+const ZOBRIST_KEYS = (() => {
+    const count = 12 * 64 + 4 + 8 + 1;
+    const hi = new Uint32Array(count);
+    const lo = new Uint32Array(count);
+
+    // Fixed-seed xorshift32 so keys are identical in every session, worker and process
+    let state = 0x9e3779b9;
+    const next = () => {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return state >>> 0;
+    };
+
+    for (let i = 0; i < count; i++) {
+        hi[i] = next() & 0x1fffff;
+        lo[i] = next();
+    }
+
+    return { hi, lo };
+})();
+
+const ZOBRIST_CASTLING_OFFSET = 12 * 64;
+const ZOBRIST_EN_PASSANT_OFFSET = ZOBRIST_CASTLING_OFFSET + 4;
+const ZOBRIST_SIDE_OFFSET = ZOBRIST_EN_PASSANT_OFFSET + 8;
+
+/**
+ * Compute the Zobrist key of a position
+ * Only the first four FEN fields count, and an en passant square only counts
+ * when a pawn can actually capture there, so transpositions share a key.
+ * @param {string} fen - Position in FEN (move counters optional)
+ * @returns {number} - 53-bit key
+ */
+function computeZobristKey(fen) {
+    const [placement, turn, castling, enPassant] = fen.split(' ');
+    const squares = new Array(64).fill(null);
+    let hi = 0;
+    let lo = 0;
+
+    const toggle = (index) => {
+        hi ^= ZOBRIST_KEYS.hi[index];
+        lo ^= ZOBRIST_KEYS.lo[index];
+    };
+
+    // Square 0 is a8, 63 is h1 (the same order as game.board())
+    let square = 0;
+    for (const char of placement) {
+        if (char === '/') continue;
+        if (char >= '1' && char <= '8') {
+            square += parseInt(char, 10);
+        } else {
+            squares[square] = char;
+            toggle(ZOBRIST_PIECES.indexOf(char) * 64 + square);
+            square++;
+        }
+    }
+
+    if (castling && castling !== '-') {
+        'KQkq'.split('').forEach((right, i) => {
+            if (castling.includes(right)) toggle(ZOBRIST_CASTLING_OFFSET + i);
+        });
+    }
+
+    if (enPassant && enPassant !== '-') {
+        const file = enPassant.charCodeAt(0) - 97;
+        // The capturing pawn stands beside the pushed pawn: rank 5 for white, rank 4 for black
+        const row = turn === 'w' ? 3 : 4;
+        const pawn = turn === 'w' ? 'P' : 'p';
+        const canCapture = (file > 0 && squares[row * 8 + file - 1] === pawn) ||
+            (file < 7 && squares[row * 8 + file + 1] === pawn);
+        if (canCapture) toggle(ZOBRIST_EN_PASSANT_OFFSET + file);
+    }
+
+    if (turn === 'b') toggle(ZOBRIST_SIDE_OFFSET);
+
+    return (hi >>> 0) * 4294967296 + (lo >>> 0);
+}
+
+/**
+ * Fixed-size transposition table
+ * Stores depth, bound type, score and best move (UCI) per position key
+ */
+class TranspositionTable {
+    constructor(sizeBits = 18) {
+        this.size = 1 << sizeBits;
+        this.keys = new Float64Array(this.size);
+        this.depths = new Int16Array(this.size);
+        this.flags = new Uint8Array(this.size);
+        this.scores = new Int32Array(this.size);
+        this.moves = new Array(this.size).fill(null);
+        this.clear();
+    }
+
+    /**
+     * Empty the table (new game)
+     */
+    clear() {
+        this.keys.fill(-1);
+        this.moves.fill(null);
+    }
+
+    /**
+     * Look up a position
+     * @returns {Object|null} - { depth, flag, score, move }
+     */
+    probe(key) {
+        const index = key % this.size;
+        if (this.keys[index] !== key) return null;
+
+        return {
+            depth: this.depths[index],
+            flag: this.flags[index],
+            score: this.scores[index],
+            move: this.moves[index]
+        };
+    }
+
+    /**
+     * Store a search result, keeping deeper results for the same position
+     */
+    store(key, depth, flag, score, move) {
+        const index = key % this.size;
+        const samePosition = this.keys[index] === key;
+        if (samePosition && this.depths[index] > depth) return;
+
+        this.keys[index] = key;
+        this.depths[index] = depth;
+        this.flags[index] = flag;
+        this.scores[index] = score;
+        this.moves[index] = move || (samePosition ? this.moves[index] : null);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        computeZobristKey,
+        TranspositionTable,
+        TT_EXACT,
+        TT_LOWER,
+        TT_UPPER
+    };
+}
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * Opening book builder for Tal Chess
+ * Replays a PGN collection of a player's games and writes the moves he chose as a weighted
+ * Polyglot book, which the engine plays from once loaded (the "Polyglot .bin" opening book button,
+ * or the BookFile UCI option)
+ *
+ * Each position the player had to move in, up to --plies deep, gets an entry per move he played
+ * there, weighted like Polyglot's own book maker: 2 per win and 1 per draw with that move,
+ * so moves that only ever lost are kept out of play.
+ *
+ * Usage: node tools/build-book.js games.pgn tal.bin [options]
+ *   --player "Mikhail Tal"  Whose moves to keep, found by surname in the White and Black headers
+ *                       ("Tal, Mikhail", "Tal, M" or "Mikhail Tal"); a header's initial must agree with
+ *                       the player's, and a bare surname ("Tal") matches anyone of that name
+ *   --plies 24          Only book positions up to this many half-moves into the game
+ *   --min-games 1       Leave out moves played in fewer games than this
+ *   --verbose           List every book position with its moves
+ */
+
+const fs = require('fs');
+const { Chess, polyglotKey, encodePolyglotMove, writePolyglotBook } = require('./load-engine.js');
+
+// Largest weight a Polyglot entry can hold
+const MAX_WEIGHT = 0xffff;
+
+function parseArgs(argv) {
+    const options = {
+        player: 'Mikhail Tal',
+        plies: 24,
+        minGames: 1,
+        verbose: false
+    };
+    const files = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            files.push(argv[i]);
+            continue;
+        }
+
+        const name = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (!(name in options)) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+
+        if (typeof options[name] === 'boolean') {
+            options[name] = true;
+        } else {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`Missing value for ${argv[i - 1]}`);
+            options[name] = typeof options[name] === 'number' ? parseFloat(value) : value;
+        }
+    }
+
+    if (files.length !== 2) {
+        throw new Error('Usage: node tools/build-book.js games.pgn book.bin [--player "Mikhail Tal"] [--plies 24] [--min-games 1]');
+    }
+    [options.input, options.output] = files;
+    return options;
+}
+
+/**
+ * Split a PGN collection into games
+ * @returns {Array} - [{ headers, moves (SAN) }]
+ */
+function parsePgn(text) {
+    const games = [];
+    let headers = {};
+    let movetext = '';
+
+    const finishGame = () => {
+        if (movetext.trim() || Object.keys(headers).length > 0) {
+            games.push({ headers, moves: parseMovetext(movetext) });
+        }
+        headers = {};
+        movetext = '';
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        const tag = line.match(/^\s*\[(\w+)\s+"(.*)"\s*\]\s*$/);
+        if (tag) {
+            // A tag after movetext starts the next game
+            if (movetext.trim()) finishGame();
+            headers[tag[1]] = tag[2].replace(/\\"/g, '"');
+        } else if (!line.startsWith('%')) {
+            movetext += line + '\n';
+        }
+    }
+    finishGame();
+
+    return games;
+}
+
+/**
+ * The main line of a game's movetext, without comments, variations, NAGs, move numbers or the result
+ */
+function parseMovetext(movetext) {
+    let text = '';
+    let depth = 0;
+
+    for (let i = 0; i < movetext.length; i++) {
+        const char = movetext[i];
+        if (char === '{') {
+            const end = movetext.indexOf('}', i);
+            i = end === -1 ? movetext.length : end;
+        } else if (char === ';') {
+            const end = movetext.indexOf('\n', i);
+            i = end === -1 ? movetext.length : end;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (depth === 0) {
+            text += char;
+        }
+    }
+
+    return text
+        .replace(/\d+\.(\.\.)?/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !/^\$\d+$/.test(token) && !['1-0', '0-1', '1/2-1/2', '*'].includes(token))
+        .map(token => token.replace(/[!?]+$/, '').replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O'));
+}
+
+/**
+ * Split a name as PGN headers write it ("Tal, Mikhail", "Tal, M.", "Tal M" or "Mikhail Tal")
+ * @returns {Object} - { full, surname, initial } in lower case; initial is '' when there is no given name
+ */
+function parseName(text) {
+    const full = (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    let surname;
+    let given;
+
+    if (full.includes(',')) {
+        [surname, given] = full.split(',').map(part => part.trim());
+    } else {
+        const words = full.split(' ');
+        // A lone initial comes after the surname ("Tal M"); a given name before it ("Mikhail Tal")
+        if (words.length > 1 && /^[a-z]\.?$/.test(words[words.length - 1])) {
+            given = words.pop();
+            surname = words.join(' ');
+        } else {
+            surname = words.pop();
+            given = words.join(' ');
+        }
+    }
+
+    return { full, surname, initial: given ? given[0] : '' };
+}
+
+/**
+ * Is a White or Black header this player? The surname is compared whole, so "Tal" is not found
+ * in "Tseshkovsky, Vitaly" or "Natalia Pogonina", and when both names have an initial it has to agree,
+ * so "Mikhail Tal" is found in "Tal, M" and "Tal M" but not in "Tal, Alexander"
+ */
+function isPlayer(header, player) {
+    const name = parseName(header);
+    const wanted = parseName(player);
+    if (name.full === wanted.full) return true;
+    if (name.surname !== wanted.surname) return false;
+    return !name.initial || !wanted.initial || name.initial === wanted.initial;
+}
+
+/**
+ * Replay the player's games and count, for every position he had to move in, what he played and how it went
+ * @returns {Object} - { stats: Map key -> { fen, moves: Map uci -> { games, wins, draws, losses, code } },
+ *                     used, skipped, notPlayed }; notPlayed counts games the player is on neither side of
+ */
+function collectMoves(games, options) {
+    const stats = new Map();
+    let used = 0;
+    let skipped = 0;
+    let notPlayed = 0;
+
+    for (const { headers, moves } of games) {
+        const title = `${headers.White} - ${headers.Black}, ${headers.Date || '?'}`;
+        const white = isPlayer(headers.White, options.player);
+        const black = isPlayer(headers.Black, options.player);
+        const result = headers.Result;
+
+        if (white === black) {
+            if (white) {
+                console.error(`${title}: both players match ${options.player}, game skipped`);
+                skipped++;
+            } else {
+                if (options.verbose) console.error(`${title}: ${options.player} is on neither side, game skipped`);
+                notPlayed++;
+            }
+            continue;
+        }
+        const color = white ? 'w' : 'b';
+
+        // Only complete games from the standard start position say anything about the repertoire
+        if (!['1-0', '0-1', '1/2-1/2'].includes(result) || headers.FEN || headers.SetUp === '1') {
+            skipped++;
+            continue;
+        }
+
+        const outcome = result === '1/2-1/2' ? 'draws' :
+            (result === '1-0') === (color === 'w') ? 'wins' : 'losses';
+        const game = new Chess();
+
+        for (let ply = 0; ply < Math.min(options.plies, moves.length); ply++) {
+            const fen = game.fen();
+            const move = game.move(moves[ply]);
+            if (!move) {
+                console.error(`${title}: illegal move ${moves[ply]}, rest of the game ignored`);
+                break;
+            }
+            if (move.color !== color) continue;
+
+            const key = polyglotKey(fen);
+            if (!stats.has(key)) stats.set(key, { fen, moves: new Map() });
+            const uci = move.from + move.to + (move.promotion || '');
+            const positionMoves = stats.get(key).moves;
+            if (!positionMoves.has(uci)) {
+                positionMoves.set(uci, { games: 0, wins: 0, draws: 0, losses: 0, code: encodePolyglotMove(uci, move.piece === 'k') });
+            }
+            const entry = positionMoves.get(uci);
+            entry.games++;
+            entry[outcome]++;
+        }
+        used++;
+    }
+
+    return { stats, used, skipped, notPlayed };
+}
+
+/**
+ * Turn the counts into book entries, scaled down if a weight would overflow
+ */
+function buildEntries(stats, options) {
+    const entries = [];
+
+    for (const [key, position] of stats) {
+        for (const [uci, entry] of position.moves) {
+            if (entry.games < options.minGames) continue;
+            entries.push({ key, uci, fen: position.fen, move: entry.code, weight: 2 * entry.wins + entry.draws, entry });
+        }
+    }
+
+    const heaviest = Math.max(0, ...entries.map(e => e.weight));
+    if (heaviest > MAX_WEIGHT) {
+        // A move that earned weight keeps at least 1, or rounding would take it out of play like a loss
+        entries.forEach(e => { e.weight = e.weight && Math.max(1, Math.round(e.weight * MAX_WEIGHT / heaviest)); });
+    }
+
+    return entries;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const print = (line) => process.stdout.write(line + '\n');
+
+    const games = parsePgn(fs.readFileSync(options.input, 'utf8'));
+    const { stats, used, skipped, notPlayed } = collectMoves(games, options);
+    const entries = buildEntries(stats, options);
+
+    fs.writeFileSync(options.output, writePolyglotBook(entries));
+
+    if (options.verbose) {
+        for (const e of entries) {
+            const score = (e.entry.wins + e.entry.draws / 2) / e.entry.games;
+            print(`${e.fen}  ${e.uci}  games ${e.entry.games}  +${e.entry.wins} =${e.entry.draws} -${e.entry.losses}  ` +
+                `score ${(score * 100).toFixed(0)}%  weight ${e.weight}`);
+        }
+    }
+
+    const positions = new Set(entries.map(e => e.key)).size;
+    print(`${used} games of ${options.player} replayed (${skipped} skipped, ${notPlayed} without ${options.player}), ` +
+        `${positions} positions and ${entries.length} moves written to ${options.output}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(2);
+}
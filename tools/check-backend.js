@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Strength backend check for Tal Chess
+ * Runs the UciBackend against tools/mock-uci-engine.js, and against engines that fail to start,
+ * die in the middle of a search, hang in one or never answer at all, where the engine must fall back
+ * to its own search within a little more than the move's budget, leave the backend alone for the rest
+ * of the game, and no engine process may be left running after quit
+ *
+ * Usage: node tools/check-backend.js
+ */
+
+const path = require('path');
+
+// Run as a broken engine for the checks below: answers the handshake, then dies or hangs on "go"
+if (process.argv[2] === '--engine-that-dies' || process.argv[2] === '--engine-that-hangs') {
+    const dies = process.argv[2] === '--engine-that-dies';
+    require('readline').createInterface({ input: process.stdin }).on('line', line => {
+        if (line === 'uci') process.stdout.write('uciok\n');
+        if (line === 'isready') process.stdout.write('readyok\n');
+        if (line.startsWith('go') && dies) process.exit(1);
+    });
+    return;
+}
+
+const {
+    Chess,
+    PersonalityEngine,
+    UciBackend,
+    ProcessTransport,
+    parseUciInfo,
+    BACKEND_MULTIPV,
+    BACKEND_QUIT_GRACE_MS,
+    BACKEND_MOVE_GRACE_FRACTION
+} = require('./load-engine.js');
+
+// Out of every opening book, so the backend is asked
+const FEN = 'r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQ - 0 8';
+
+// Budget for each move, and what a fallback may take on top of the backend's grace (the built-in search's overrun)
+const MOVE_TIME_MS = 300;
+const FALLBACK_SLACK_MS = 200;
+
+const node = `"${process.execPath}"`;
+const MOCK_ENGINE = `${node} "${path.join(__dirname, 'mock-uci-engine.js')}"`;
+const DYING_ENGINE = `${node} "${__filename}" --engine-that-dies`;
+const HANGING_ENGINE = `${node} "${__filename}" --engine-that-hangs`;
+const SILENT_ENGINE = `${node} -e "setInterval(() => {}, 1000)"`;
+
+const print = (line) => process.stdout.write(line + '\n');
+let failures = 0;
+
+function check(name, ok, detail) {
+    print(`${ok ? 'ok  ' : 'FAIL'} ${name}${detail ? `: ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+/**
+ * Is anything left running in a process group? (A killed engine may stay a zombie until its new parent reaps it)
+ */
+function isRunning(pgid) {
+    const { execFileSync } = require('child_process');
+    return execFileSync('ps', ['-A', '-o', 'pgid=,stat='], { encoding: 'utf8' })
+        .split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .some(([group, stat]) => Number(group) === pgid && stat && !stat.startsWith('Z'));
+}
+
+/**
+ * Pick a move in FEN with a backend running commandLine, timed from once the engine has had its chance to start
+ * @returns {Promise<Object>} - { move (SAN), source, ms, pid, backendFailed }
+ */
+async function playWithBackend(commandLine) {
+    const engine = new PersonalityEngine('tal');
+    engine.humanPacing = false;
+    engine.setDifficulty('legend');
+    const transport = new ProcessTransport(commandLine);
+    const backend = new UciBackend(transport);
+    engine.setBackend(backend);
+    await backend.init().catch(() => {});
+
+    const game = new Chess(FEN);
+    const startTime = Date.now();
+    const move = await engine.getBestMove(game, 'b', { timeMs: MOVE_TIME_MS, depth: 2 });
+    const ms = Date.now() - startTime;
+    backend.quit();
+
+    const played = move ? game.move(move) : null;
+    return {
+        move: played ? played.san : null,
+        source: engine.decision.source,
+        ms,
+        pid: transport.process.pid,
+        backendFailed: engine.backendFailed
+    };
+}
+
+async function main() {
+    // Engine chatter would drown the report
+    console.log = () => {};
+    console.error = () => {};
+
+    const backend = new UciBackend(new ProcessTransport(MOCK_ENGINE));
+    const candidates = await backend.analyze(FEN, { multiPV: BACKEND_MULTIPV, movetime: 100 });
+    const legal = new Chess(FEN).moves({ verbose: true }).map(m => m.from + m.to + (m.promotion || ''));
+    check('mock engine gives MultiPV candidates', candidates.length === BACKEND_MULTIPV,
+        `${candidates.length} candidates`);
+    check('every candidate is a legal move with a score',
+        candidates.every(c => legal.includes(c.move) && c.score && ('cp' in c.score || 'mate' in c.score)));
+    backend.quit();
+
+    const engineText = 'info string NNUE evaluation using nn.nnue enabled, multipv 1 score cp 50 pv e2e4';
+    check('info string is not read as a line', parseUciInfo(engineText) === null);
+    const line = parseUciInfo('info depth 12 multipv 2 score cp -31 pv c4d5 e6d5 string from cache');
+    check('a line\'s text after string is not read as moves', line && line.move === 'c4d5' && line.pv.length === 2,
+        line && line.pv.join(' '));
+
+    const mock = await playWithBackend(MOCK_ENGINE);
+    check('engine plays the backend\'s choice', mock.move && mock.source === 'backend',
+        `${mock.move} from ${mock.source}`);
+
+    for (const [name, commandLine] of [
+        ['missing engine', 'no-such-engine-xyz'],
+        ['engine that dies mid-search', DYING_ENGINE],
+        ['engine that hangs mid-search', HANGING_ENGINE],
+        ['engine that never answers', SILENT_ENGINE]
+    ]) {
+        const result = await playWithBackend(commandLine);
+        check(`${name} falls back to the built-in search`, result.move && result.source !== 'backend',
+            `${result.move} from ${result.source} in ${result.ms} ms`);
+        const allowedMs = MOVE_TIME_MS * (1 + BACKEND_MOVE_GRACE_FRACTION) + FALLBACK_SLACK_MS;
+        check(`${name} costs little more than the move's budget`, result.ms <= allowedMs, `at most ${allowedMs} ms`);
+        check(`${name} is left alone for the rest of the game`, result.backendFailed);
+
+        if (process.platform !== 'win32') {
+            await new Promise(resolve => setTimeout(resolve, BACKEND_QUIT_GRACE_MS + 200));
+            check(`${name} is gone after quit`, !isRunning(result.pid));
+        }
+    }
+
+    print(failures === 0 ? 'All backend checks passed' : `${failures} backend checks failed`);
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    process.stderr.write(error.stack + '\n');
+    process.exit(2);
+});
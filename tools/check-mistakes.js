@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Mistake model check for Tal Chess
+ * Feeds chooseMistake root moves whose style bonus hides what they objectively cost,
+ * and checks that losses are measured without the bonus
+ *
+ * Usage: node tools/check-mistakes.js
+ */
+
+const { Chess, chooseMistake, getDifficulty } = require('./load-engine.js');
+
+// Two Knights Defence: 4.Bxf7+ is a Tal-style sacrifice, 4.d3 the sound move
+const MOVES = ['e4', 'e5', 'Nf3', 'Nc6', 'Bc4', 'Nf6'];
+
+const print = (line) => process.stdout.write(line + '\n');
+let failures = 0;
+
+function check(name, ok, detail) {
+    print(`${ok ? 'ok  ' : 'FAIL'} ${name}${detail ? `: ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+/**
+ * Root moves as TalSearch returns them: score includes bonus
+ */
+function rootMoves(game, scored) {
+    const moves = game.moves({ verbose: true });
+    return scored.map(([san, objective, bonus]) => ({
+        move: moves.find(m => m.san === san),
+        score: objective + bonus,
+        bonus
+    }));
+}
+
+function main() {
+    const game = new Chess();
+    MOVES.forEach(san => game.move(san));
+    const difficulty = getDifficulty('beginner');
+    const first = () => 0;  // Always the first candidate
+
+    // The sacrifice loses 250 cp, but its +150 bonus would make it look like a 100 cp slip
+    const sacrifice = chooseMistake(rootMoves(game, [['d3', 30, 0], ['Bxf7+', -220, 150]]), game, difficulty, first);
+    check('a bonus-heavy sacrifice costs its objective loss', sacrifice && sacrifice.move.san === 'Bxf7+' &&
+        sacrifice.loss === 250, sacrifice && `${sacrifice.move.san}, loss ${sacrifice.loss}`);
+
+    // With its bonus Ng5 scores highest, yet d3 is objectively best, so Ng5 is the mistake
+    const best = chooseMistake(rootMoves(game, [['Ng5', -50, 150], ['d3', 40, 0]]), game, difficulty, first);
+    check('the best move is the objectively best', best && best.move.san === 'Ng5' && best.loss === 90,
+        best && `${best.move.san}, loss ${best.loss}`);
+
+    print(failures === 0 ? 'All mistake checks passed' : `${failures} mistake checks failed`);
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
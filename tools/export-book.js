@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Export an opening book for Tal Chess
+ * Writes a personality's hand-written opening book (TAL_OPENINGS by default) as a Polyglot .bin book,
+ * for use in chess GUIs and other engines, or to load back into Tal
+ *
+ * Usage: node tools/export-book.js [personality] out.bin
+ */
+
+const fs = require('fs');
+const { PERSONALITIES, DEFAULT_PERSONALITY, PolyglotBook, exportPolyglotBook } = require('./load-engine.js');
+
+function main() {
+    const args = process.argv.slice(2);
+    const file = args.pop();
+    const id = args[0] || DEFAULT_PERSONALITY;
+
+    if (!file || !PERSONALITIES[id]) {
+        console.error(`Usage: node tools/export-book.js [${Object.keys(PERSONALITIES).join('|')}] out.bin`);
+        process.exit(2);
+    }
+
+    const bytes = exportPolyglotBook(PERSONALITIES[id].openings);
+    fs.writeFileSync(file, bytes);
+
+    const book = new PolyglotBook(bytes);
+    console.log(`Wrote ${file}: ${book.size} positions, ${bytes.length / 16} moves from ${PERSONALITIES[id].name}'s book`);
+}
+
+main();
@@ -0,0 +1,23 @@
+/**
+ * Headless loader for the Tal engine
+ * The engine scripts are written for <script> tags, where they share globals.
+ * Under Node each script's exports are published on the global object in the
+ * same order, so later scripts find the names they expect.
+ *
+ * Requires chess.js 0.10.3 (the version index.html loads): npm install chess.js@0.10.3
+ */
+
+const path = require('path');
+const { Chess } = require('chess.js');
+const { ENGINE_SCRIPTS } = require('../js/engine-scripts.js');
+
+const engine = { Chess };
+global.Chess = Chess;
+
+for (const script of ENGINE_SCRIPTS) {
+    const exported = require(path.join(__dirname, '..', 'js', script));
+    Object.assign(global, exported);
+    Object.assign(engine, exported);
+}
+
+module.exports = engine;
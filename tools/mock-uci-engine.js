@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Mock UCI engine for Tal Chess
+ * A small, deterministic stand-in for a strong backend: it scores every legal move
+ * with a one-ply search on the built-in evaluation and reports MultiPV lines.
+ * Lets the strength backend be exercised with no network and no external engine.
+ *
+ * Usage: node tools/mock-uci-engine.js
+ */
+
+const readline = require('readline');
+const { Chess, evaluateForSideToMove, MATE_SCORE } = require('./load-engine.js');
+
+let game = new Chess();
+let multiPV = 1;
+
+/**
+ * Score each legal move from the mover's point of view, best first
+ */
+function scoreMoves() {
+    return game.moves({ verbose: true })
+        .map(move => {
+            game.move(move);
+            let score;
+            if (game.in_checkmate()) {
+                score = { mate: 1 };
+            } else if (game.in_draw()) {
+                score = { cp: 0 };
+            } else {
+                score = { cp: -evaluateForSideToMove(game) };
+            }
+            game.undo();
+            return { move, score, value: 'mate' in score ? MATE_SCORE : score.cp };
+        })
+        .sort((a, b) => b.value - a.value);
+}
+
+function send(line) {
+    process.stdout.write(line + '\n');
+}
+
+function handleLine(line) {
+    const tokens = line.trim().split(/\s+/);
+
+    switch (tokens[0]) {
+        case 'uci':
+            send('id name Tal Mock Engine');
+            send('id author VS-Tal Chess');
+            send('option name MultiPV type spin default 1 min 1 max 256');
+            send('uciok');
+            break;
+        case 'isready':
+            send('readyok');
+            break;
+        case 'ucinewgame':
+            game = new Chess();
+            break;
+        case 'setoption':
+            if (tokens[2] === 'MultiPV') {
+                multiPV = Math.max(1, parseInt(tokens[4], 10) || 1);
+            }
+            break;
+        case 'position': {
+            const movesIndex = tokens.indexOf('moves');
+            const setup = movesIndex === -1 ? tokens.slice(1) : tokens.slice(1, movesIndex);
+            game = setup[0] === 'fen' ? new Chess(setup.slice(1).join(' ')) : new Chess();
+            if (movesIndex !== -1) {
+                tokens.slice(movesIndex + 1).forEach(uci => game.move({
+                    from: uci.substring(0, 2),
+                    to: uci.substring(2, 4),
+                    promotion: uci[4]
+                }));
+            }
+            break;
+        }
+        case 'go': {
+            const scored = scoreMoves();
+            scored.slice(0, multiPV).forEach(({ move, score }, i) => {
+                const value = 'mate' in score ? `mate ${score.mate}` : `cp ${score.cp}`;
+                const uci = move.from + move.to + (move.promotion || '');
+                send(`info depth 1 multipv ${i + 1} score ${value} nodes ${scored.length} pv ${uci}`);
+            });
+            const best = scored[0];
+            send(`bestmove ${best ? best.move.from + best.move.to + (best.move.promotion || '') : '0000'}`);
+            break;
+        }
+        case 'quit':
+            process.exit(0);
+            break;
+    }
+}
+
+// UCI owns stdout - engine chatter goes to stderr
+console.log = (...args) => console.error(...args);
+
+readline.createInterface({ input: process.stdin })
+    .on('line', handleLine)
+    .on('close', () => process.exit(0));
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Replay a recorded game for Tal Chess
+ * Re-runs every engine decision of a game from its seed and move list (as copied with "Copy Record")
+ * and reports any move that comes out differently
+ *
+ * Usage: node tools/replay.js record.json
+ */
+
+const fs = require('fs');
+const { PersonalityEngine } = require('./load-engine.js');
+
+async function main() {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node tools/replay.js record.json');
+        process.exit(2);
+    }
+
+    // Engine chatter would drown the report
+    console.log = () => {};
+    const print = (line) => process.stdout.write(line + '\n');
+
+    const record = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const engine = new PersonalityEngine(record.personality);
+    const results = await engine.replayGame(record);
+
+    for (const { ply, expected, actual, match, sameTable } of results) {
+        const moveNumber = `${Math.floor(ply / 2) + 1}${ply % 2 === 0 ? '.' : '...'}`;
+        // The game's search had a table warmed by searches that aren't in the record, so it can differ
+        const note = sameTable ? '' : '  (after unrecorded searches)';
+        print(`${moveNumber} ${expected}${match ? '' : `  MISMATCH: replay played ${actual}`}${note}`);
+    }
+
+    const mismatches = results.filter(r => !r.match).length;
+    print(`Seed ${record.seed}: ${results.length} decisions replayed, ${mismatches} mismatched`);
+    process.exit(mismatches > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(2);
+});
@@ -0,0 +1,580 @@
+#!/usr/bin/env node
+/**
+ * Self-play tournament for Tal Chess
+ * Plays the difficulty levels against each other and against reference opponents, so the ratings
+ * on the difficulty buttons can be checked against data: every game as PGN, a crosstable, and
+ * Elo estimates with 95% error bars, or an SPRT between two players
+ *
+ * Usage: node tools/tournament.js [options]
+ *   --players beginner,master       Entrants: a level ("master"), a personality's level ("petrosian:legend"),
+ *                                   "random", or a UCI engine as "name=command" or "name=command@elo"
+ *                                   (default: every level of the default personality)
+ *   --rounds 1                      Opening pairs per pairing; each opening is played once with each colour
+ *   --tc 60+0.5                     Time control per side in seconds (base+increment), emulated move by move
+ *   --max-plies 300                 Adjudicate a draw after this many half-moves
+ *   --pgn tournament.pgn            Where to write the games
+ *   --sprt 0,50                     Instead of a round robin, test the first player against the second:
+ *                                   H0 "elo <= 0" against H1 "elo >= 50"
+ *   --alpha 0.05 --beta 0.05        SPRT error rates
+ *   --max-games 1000                Give up an SPRT without a decision after this many games
+ *   --seed 12345                    Seed for the engines' randomness (default: a fresh one); every game
+ *                                   records each side's own seed in its PGN headers
+ *   --verbose                       Keep the engines' own logging
+ */
+
+const fs = require('fs');
+const {
+    Chess,
+    PersonalityEngine,
+    DIFFICULTY_LEVELS,
+    PERSONALITIES,
+    DEFAULT_PERSONALITY,
+    getPersonality,
+    createRandom,
+    createSeed,
+    UciBackend,
+    ProcessTransport,
+    moveToUci
+} = require('./load-engine.js');
+
+// Balanced, varied starting points; each is played with both colours so neither side profits from it
+const OPENINGS = [
+    { name: 'Sicilian Najdorf', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6' },
+    { name: 'Ruy Lopez', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6' },
+    { name: 'French Winawer', moves: 'e4 e6 d4 d5 Nc3 Bb4' },
+    { name: 'Caro-Kann Classical', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5' },
+    { name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7' },
+    { name: 'Slav', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4' },
+    { name: "King's Indian", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O' },
+    { name: 'Nimzo-Indian', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O' },
+    { name: 'English Four Knights', moves: 'c4 e5 Nc3 Nf6 Nf3 Nc6' },
+    { name: 'Italian', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6' },
+    { name: 'Scandinavian', moves: 'e4 d5 exd5 Qxd5 Nc3 Qa5' },
+    { name: 'Dutch Stonewall', moves: 'd4 f5 g3 Nf6 Bg2 e6 Nf3 d5' }
+];
+
+// Virtual draws added to every pairing that was played, as BayesElo does,
+// so a clean sweep gives a finite rating difference
+const PRIOR_DRAWS = 2;
+
+// Two-sided 95% confidence
+const Z_95 = 1.96;
+
+// Rating iterations stop once no gamma changes by more than this
+const RATING_TOLERANCE = 1e-9;
+const MAX_RATING_ITERATIONS = 10000;
+
+/**
+ * Parse "--name value" options; flags without a value are true
+ */
+function parseArgs(argv) {
+    const options = {
+        players: null,
+        rounds: 1,
+        tc: '60+0.5',
+        maxPlies: 300,
+        pgn: 'tournament.pgn',
+        sprt: null,
+        alpha: 0.05,
+        beta: 0.05,
+        maxGames: 1000,
+        seed: null,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (!(name in options)) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+
+        if (typeof options[name] === 'boolean') {
+            options[name] = true;
+        } else {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`Missing value for ${argv[i - 1]}`);
+            options[name] = typeof options[name] === 'number' ? parseFloat(value) : value;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * "60+0.5" -> { base: 60, increment: 0.5 } in seconds
+ */
+function parseTimeControl(tc) {
+    const [base, increment = '0'] = tc.split('+');
+    return { base: parseFloat(base), increment: parseFloat(increment) };
+}
+
+/**
+ * The engine at one difficulty level
+ */
+function createLevelPlayer(spec) {
+    const [personalityId, level] = spec.includes(':') ? spec.split(':') : [DEFAULT_PERSONALITY, spec];
+    if (!DIFFICULTY_LEVELS[level]) throw new Error(`Unknown level: ${level}`);
+    if (!PERSONALITIES[personalityId]) throw new Error(`Unknown personality: ${personalityId}`);
+
+    const engine = new PersonalityEngine(personalityId);
+    engine.humanPacing = false;
+    engine.setDifficulty(level);
+
+    return {
+        name: `${getPersonality(personalityId).shortName} ${DIFFICULTY_LEVELS[level].name}`,
+        advertised: DIFFICULTY_LEVELS[level].rating,
+        newGame: (seed) => {
+            engine.newGame();
+            engine.setSeed(seed);
+        },
+        getMove: (game, clocks) => {
+            const playerColor = game.turn() === 'w' ? 'b' : 'w';
+            return engine.getBestMove(game, playerColor, { clock: clocks[game.turn()] });
+        },
+        quit: () => {}
+    };
+}
+
+/**
+ * Uniformly random legal moves: the floor of the rating list
+ */
+function createRandomPlayer() {
+    let random = null;
+    return {
+        name: 'Random',
+        advertised: null,
+        newGame: (seed) => {
+            random = createRandom(seed);
+        },
+        getMove: async (game) => {
+            const moves = game.moves({ verbose: true });
+            return moves[Math.floor(random() * moves.length)];
+        },
+        quit: () => {}
+    };
+}
+
+/**
+ * An external UCI engine, given the real clocks with every "go"
+ * @param {string} spec - "name=command" or "name=command@elo"
+ */
+function createUciPlayer(spec) {
+    const [name, rest] = [spec.slice(0, spec.indexOf('=')), spec.slice(spec.indexOf('=') + 1)];
+    const eloMatch = rest.match(/@(\d+)$/);
+    const command = eloMatch ? rest.slice(0, eloMatch.index) : rest;
+    const backend = new UciBackend(new ProcessTransport(command));
+
+    return {
+        name,
+        advertised: eloMatch ? parseInt(eloMatch[1], 10) : null,
+        anchor: !!eloMatch,
+        newGame: () => {
+            backend.send('ucinewgame');
+        },
+        getMove: async (game, clocks) => {
+            await backend.init();
+
+            const moves = game.history({ verbose: true }).map(moveToUci);
+            backend.send(`position startpos${moves.length ? ' moves ' + moves.join(' ') : ''}`);
+
+            const ms = (seconds) => Math.max(1, Math.round(seconds * 1000));
+            const bestmove = backend.waitFor(line => line.startsWith('bestmove'));
+            backend.send(`go wtime ${ms(clocks.w.remaining)} btime ${ms(clocks.b.remaining)} ` +
+                `winc ${ms(clocks.w.increment)} binc ${ms(clocks.b.increment)}`);
+
+            const uci = (await bestmove).trim().split(/\s+/)[1];
+            if (!uci || uci === '0000') return null;
+            return { from: uci.substring(0, 2), to: uci.substring(2, 4), promotion: uci[4] };
+        },
+        quit: () => backend.quit()
+    };
+}
+
+/**
+ * Build an entrant from its command-line spec
+ */
+function createPlayer(spec) {
+    if (spec === 'random') return createRandomPlayer();
+    if (spec.includes('=')) return createUciPlayer(spec);
+    return createLevelPlayer(spec);
+}
+
+/**
+ * Play one game from an opening, with both clocks running
+ * @param {Object} seeds - { white, black } seeds for each side's randomness
+ * @returns {Promise<Object>} - { white, black, opening, seeds, moves (SAN), result, termination }
+ */
+async function playGame(white, black, opening, timeControl, maxPlies, seeds) {
+    const game = new Chess();
+    opening.moves.split(' ').forEach(san => game.move(san));
+
+    const players = { w: white, b: black };
+    const clocks = {
+        w: { remaining: timeControl.base, increment: timeControl.increment },
+        b: { remaining: timeControl.base, increment: timeControl.increment }
+    };
+    const loses = (color) => (color === 'w' ? '0-1' : '1-0');
+
+    white.newGame(seeds.white);
+    black.newGame(seeds.black);
+
+    let result = null;
+    let termination = 'normal';
+
+    while (!game.game_over()) {
+        if (game.history().length >= maxPlies) {
+            result = '1/2-1/2';
+            termination = 'adjudication';
+            break;
+        }
+
+        const color = game.turn();
+        const startTime = Date.now();
+        const move = await players[color].getMove(game, clocks);
+        clocks[color].remaining -= (Date.now() - startTime) / 1000;
+
+        if (clocks[color].remaining < 0) {
+            result = loses(color);
+            termination = 'time forfeit';
+            break;
+        }
+        if (!move || !game.move(move)) {
+            result = loses(color);
+            termination = 'illegal move';
+            break;
+        }
+
+        clocks[color].remaining += clocks[color].increment;
+    }
+
+    if (!result) {
+        result = game.in_checkmate() ? loses(game.turn()) : '1/2-1/2';
+    }
+
+    return {
+        white: white.name,
+        black: black.name,
+        opening: opening.name,
+        seeds,
+        moves: game.history(),
+        result,
+        termination
+    };
+}
+
+/**
+ * One game in PGN
+ */
+function toPgn(record, round, timeControl) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '.');
+    const headers = [
+        ['Event', 'Tal Chess self-play'],
+        ['Site', '?'],
+        ['Date', date],
+        ['Round', String(round)],
+        ['White', record.white],
+        ['Black', record.black],
+        ['Result', record.result],
+        ['TimeControl', `${timeControl.base}+${timeControl.increment}`],
+        ['Opening', record.opening],
+        ['Termination', record.termination],
+        ['WhiteSeed', String(record.seeds.white)],
+        ['BlackSeed', String(record.seeds.black)]
+    ];
+
+    const tokens = [];
+    record.moves.forEach((san, i) => {
+        if (i % 2 === 0) tokens.push(`${i / 2 + 1}.`);
+        tokens.push(san);
+    });
+    tokens.push(record.result);
+
+    // Wrap movetext at 80 columns
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + token.length + 1 > 80) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    lines.push(line);
+
+    return headers.map(([name, value]) => `[${name} "${value}"]`).join('\n') + '\n\n' + lines.join('\n') + '\n';
+}
+
+/**
+ * Elo difference for an expected score
+ */
+function scoreToElo(score) {
+    return -400 * Math.log10(1 / score - 1);
+}
+
+/**
+ * Expected score for an Elo difference
+ */
+function eloToScore(elo) {
+    return 1 / (1 + Math.pow(10, -elo / 400));
+}
+
+/**
+ * Mean score and its per-game variance from wins, draws and losses
+ */
+function scoreStats({ wins, draws, losses }) {
+    const n = wins + draws + losses;
+    const score = (wins + draws / 2) / n;
+    const variance = (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / n;
+    return { n, score, variance };
+}
+
+/**
+ * Elo difference of a head-to-head result, with its 95% margin
+ * @returns {Object} - { elo, margin }; infinite for a clean sweep
+ */
+function headToHeadElo(record) {
+    const { n, score, variance } = scoreStats(record);
+    if (score <= 0 || score >= 1) {
+        return { elo: score >= 1 ? Infinity : -Infinity, margin: Infinity };
+    }
+
+    const stderr = Math.sqrt(variance / n);
+    const clamp = (s) => Math.min(1 - 1e-9, Math.max(1e-9, s));
+    const margin = (scoreToElo(clamp(score + Z_95 * stderr)) - scoreToElo(clamp(score - Z_95 * stderr))) / 2;
+    return { elo: scoreToElo(score), margin };
+}
+
+/**
+ * Ratings for everyone from all results, by maximum likelihood under the Bradley-Terry model
+ * (Hunter's MM algorithm, draws counting half), with PRIOR_DRAWS virtual draws per pairing
+ * @param {Array} players - Entrants; those with anchor set keep their advertised rating on average,
+ *                          otherwise the levels keep the mean of their advertised ratings
+ * @param {Array} results - results[i][j] = { wins, draws, losses } of player i against player j
+ * @returns {Array} - [{ elo, margin }] per player
+ */
+function estimateRatings(players, results) {
+    const count = players.length;
+    const games = (i, j) => {
+        const r = results[i][j];
+        const n = r.wins + r.draws + r.losses;
+        return n > 0 ? n + PRIOR_DRAWS : 0;
+    };
+    const points = (i) => results[i].reduce((sum, r, j) => {
+        return sum + r.wins + r.draws / 2 + (games(i, j) > 0 ? PRIOR_DRAWS / 2 : 0);
+    }, 0);
+
+    let gamma = new Array(count).fill(1);
+    for (let iteration = 0; iteration < MAX_RATING_ITERATIONS; iteration++) {
+        const next = gamma.map((g, i) => {
+            let denominator = 0;
+            for (let j = 0; j < count; j++) {
+                if (j !== i && games(i, j) > 0) denominator += games(i, j) / (g + gamma[j]);
+            }
+            return denominator > 0 ? points(i) / denominator : g;
+        });
+
+        // Ratings are only defined up to a constant: keep the geometric mean at 1
+        const logMean = next.reduce((sum, g) => sum + Math.log(g), 0) / count;
+        const normalized = next.map(g => g / Math.exp(logMean));
+        const change = Math.max(...normalized.map((g, i) => Math.abs(g - gamma[i])));
+        gamma = normalized;
+        if (change < RATING_TOLERANCE) break;
+    }
+
+    // Error bars from the Fisher information of each rating on its own
+    const eloPerNat = 400 / Math.LN10;
+    const ratings = gamma.map((g, i) => {
+        let information = 0;
+        for (let j = 0; j < count; j++) {
+            if (j === i || games(i, j) === 0) continue;
+            const p = g / (g + gamma[j]);
+            information += games(i, j) * p * (1 - p);
+        }
+        return {
+            elo: eloPerNat * Math.log(g),
+            margin: information > 0 ? Z_95 * eloPerNat / Math.sqrt(information) : Infinity
+        };
+    });
+
+    const anchors = players.map((p, i) => i).filter(i => players[i].anchor);
+    const reference = anchors.length > 0 ? anchors : players.map((p, i) => i).filter(i => players[i].advertised !== null);
+    if (reference.length > 0) {
+        const offset = reference.reduce((sum, i) => sum + players[i].advertised - ratings[i].elo, 0) / reference.length;
+        ratings.forEach(r => { r.elo += offset; });
+    }
+
+    return ratings;
+}
+
+/**
+ * Log-likelihood ratio of H1 "elo = elo1" against H0 "elo = elo0" for a head-to-head result,
+ * in the normal approximation used by fishtest
+ */
+function sprtLlr(record, elo0, elo1) {
+    const { n, score, variance } = scoreStats(record);
+    if (n === 0 || variance === 0) return 0;
+
+    const score0 = eloToScore(elo0);
+    const score1 = eloToScore(elo1);
+    return n * (score1 - score0) * (2 * score - score0 - score1) / (2 * variance);
+}
+
+/**
+ * Print the crosstable and rating list of a round robin
+ */
+function printStandings(players, results, print) {
+    const ratings = estimateRatings(players, results);
+    const nameWidth = Math.max(...players.map(p => p.name.length));
+    const cell = 9;
+
+    print('');
+    print('Crosstable (wins-draws-losses of the row player)');
+    print(' '.repeat(nameWidth + 4) + players.map((p, j) => `#${j + 1}`.padStart(cell)).join('') + '   Score');
+    players.forEach((player, i) => {
+        const cells = players.map((p, j) => {
+            if (i === j) return '—'.padStart(cell);
+            const r = results[i][j];
+            return (r.wins + r.draws + r.losses > 0 ? `${r.wins}-${r.draws}-${r.losses}` : '').padStart(cell);
+        });
+        const total = results[i].reduce((sum, r) => sum + r.wins + r.draws / 2, 0);
+        const played = results[i].reduce((sum, r) => sum + r.wins + r.draws + r.losses, 0);
+        print(`#${String(i + 1).padEnd(3)}${player.name.padEnd(nameWidth)}${cells.join('')}   ${total}/${played}`);
+    });
+
+    print('');
+    print('Ratings (95% error bars)' + (players.some(p => p.anchor) ? '' : ', anchored to the mean advertised rating'));
+    players
+        .map((player, i) => ({ player, rating: ratings[i] }))
+        .sort((a, b) => b.rating.elo - a.rating.elo)
+        .forEach(({ player, rating }) => {
+            const advertised = player.advertised !== null ? `  (advertised ${player.advertised})` : '';
+            print(`${player.name.padEnd(nameWidth)}  ${Math.round(rating.elo).toString().padStart(5)} ± ${Math.round(rating.margin)}${advertised}`);
+        });
+}
+
+/**
+ * Every pairing plays each opening with both colours
+ */
+async function runRoundRobin(players, options, timeControl, nextSeed, onGame) {
+    const results = players.map(() => players.map(() => ({ wins: 0, draws: 0, losses: 0 })));
+
+    for (let round = 0; round < options.rounds; round++) {
+        const opening = OPENINGS[round % OPENINGS.length];
+        for (let i = 0; i < players.length; i++) {
+            for (let j = i + 1; j < players.length; j++) {
+                for (const [white, black] of [[i, j], [j, i]]) {
+                    const seeds = { white: nextSeed(), black: nextSeed() };
+                    const record = await playGame(players[white], players[black], opening, timeControl, options.maxPlies, seeds);
+                    recordResult(results, white, black, record.result);
+                    onGame(record, round + 1);
+                }
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Game pairs between the first two players until the SPRT accepts a hypothesis
+ * @returns {Promise<Object>} - { record, llr, decision }
+ */
+async function runSprt(players, options, timeControl, nextSeed, onGame, print) {
+    const [elo0, elo1] = options.sprt.split(',').map(parseFloat);
+    const lower = Math.log(options.beta / (1 - options.alpha));
+    const upper = Math.log((1 - options.beta) / options.alpha);
+    const results = [0, 1].map(() => [0, 1].map(() => ({ wins: 0, draws: 0, losses: 0 })));
+
+    let llr = 0;
+    let decision = null;
+    for (let pair = 0; !decision && 2 * pair < options.maxGames; pair++) {
+        const opening = OPENINGS[pair % OPENINGS.length];
+        for (const [white, black] of [[0, 1], [1, 0]]) {
+            const seeds = { white: nextSeed(), black: nextSeed() };
+            const record = await playGame(players[white], players[black], opening, timeControl, options.maxPlies, seeds);
+            recordResult(results, white, black, record.result);
+            onGame(record, pair + 1);
+        }
+
+        llr = sprtLlr(results[0][1], elo0, elo1);
+        print(`LLR ${llr.toFixed(2)} [${lower.toFixed(2)}, ${upper.toFixed(2)}] after ${2 * (pair + 1)} games`);
+        if (llr >= upper) decision = 'H1';
+        if (llr <= lower) decision = 'H0';
+    }
+
+    return { record: results[0][1], llr, decision, elo0, elo1 };
+}
+
+/**
+ * Count a game for both players
+ */
+function recordResult(results, white, black, result) {
+    if (result === '1-0') {
+        results[white][black].wins++;
+        results[black][white].losses++;
+    } else if (result === '0-1') {
+        results[white][black].losses++;
+        results[black][white].wins++;
+    } else {
+        results[white][black].draws++;
+        results[black][white].draws++;
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const print = (line) => process.stdout.write(line + '\n');
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+
+    const specs = options.players ? options.players.split(',') : Object.keys(DIFFICULTY_LEVELS);
+    const players = specs.map(spec => createPlayer(spec.trim()));
+    const timeControl = parseTimeControl(options.tc);
+
+    // Every game's seeds come from one stream, so the whole tournament repeats from --seed
+    const baseSeed = options.seed !== null ? options.seed >>> 0 : createSeed();
+    const seedStream = createRandom(baseSeed);
+    const nextSeed = () => Math.floor(seedStream() * 4294967296);
+    print(`Seed ${baseSeed}`);
+
+    if (players.length < 2) throw new Error('A tournament needs at least two players');
+
+    const pgn = fs.createWriteStream(options.pgn);
+    let gameNumber = 0;
+    const onGame = (record, round) => {
+        gameNumber++;
+        pgn.write(toPgn(record, round, timeControl) + '\n');
+        print(`Game ${gameNumber}: ${record.white} - ${record.black} ${record.result} ` +
+            `(${record.opening}, ${record.termination}, ${record.moves.length} plies)`);
+    };
+
+    try {
+        if (options.sprt) {
+            const { record, llr, decision, elo0, elo1 } = await runSprt(players, options, timeControl, nextSeed, onGame, print);
+            const { elo, margin } = headToHeadElo(record);
+
+            print('');
+            print(`${players[0].name} vs ${players[1].name}: +${record.wins} =${record.draws} -${record.losses}`);
+            print(`Elo difference ${Math.round(elo)} ± ${Math.round(margin)}, LLR ${llr.toFixed(2)}`);
+            print(decision === 'H1' ? `H1 accepted: ${players[0].name} is ${elo1} rather than ${elo0} Elo stronger` :
+                decision === 'H0' ? `H0 accepted: ${players[0].name} is ${elo0} rather than ${elo1} Elo stronger` :
+                    'No decision within --max-games');
+        } else {
+            const results = await runRoundRobin(players, options, timeControl, nextSeed, onGame);
+            printStandings(players, results, print);
+        }
+    } finally {
+        players.forEach(player => player.quit());
+        pgn.end();
+    }
+
+    print('');
+    print(`${gameNumber} games written to ${options.pgn}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
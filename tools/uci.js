@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+/**
+ * UCI front-end for the Tal engine
+ * Lets chess GUIs and tournament managers run Tal headless over stdin/stdout
+ * The session runs in a worker thread, as a search doesn't read its input until it finishes an iteration;
+ * the main thread keeps reading and stops a running search through a flag the search checks at every node
+ *
+ * Usage: node tools/uci.js
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const {
+    Chess,
+    PersonalityEngine,
+    PolyglotBook,
+    DIFFICULTY_LEVELS,
+    PERSONALITIES,
+    DEFAULT_PERSONALITY,
+    UciBackend,
+    ProcessTransport,
+    moveToUci,
+    toUciScore
+} = require('./load-engine.js');
+
+const ENGINE_NAME = 'Tal';
+const ENGINE_AUTHOR = 'VS-Tal Chess';
+
+// Depth used for "go infinite" and for time-only searches
+const MAX_DEPTH = 64;
+
+// Milliseconds kept back from each move for GUI and process overhead
+const MOVE_OVERHEAD = 50;
+
+class UciSession {
+    /**
+     * @param {Function} send - Writes a line to the GUI
+     * @param {Int32Array|null} stopFlag - Shared with the thread reading the input, which sets it on "stop"
+     */
+    constructor(send, stopFlag = null) {
+        this.send = send;
+        this.engine = new PersonalityEngine();
+        this.engine.humanPacing = false;
+        this.engine.search.stopFlag = stopFlag;
+        this.game = new Chess();
+        this.ownBook = true;
+        this.searching = false;
+        this.infinite = false;
+        this.heldBestMove = null;  // "go infinite" must not answer before "stop"
+    }
+
+    /**
+     * Handle one line of input from the GUI
+     */
+    handleLine(line) {
+        const tokens = line.trim().split(/\s+/);
+        const command = tokens.shift();
+
+        switch (command) {
+            case 'uci':
+                this.sendIdentity();
+                break;
+            case 'isready':
+                this.send('readyok');
+                break;
+            case 'ucinewgame':
+                this.engine.newGame();
+                this.game = new Chess();
+                break;
+            case 'setoption':
+                this.setOption(tokens);
+                break;
+            case 'position':
+                this.setPosition(tokens);
+                break;
+            case 'go':
+                this.go(tokens);
+                break;
+            case 'stop':
+                this.stop();
+                break;
+            case 'quit':
+                this.setBackend(null);
+                process.exit(0);
+                break;
+            default:
+                if (command) {
+                    console.error(`Unknown command: ${line}`);
+                }
+        }
+    }
+
+    /**
+     * Reply to "uci" with the engine name and its options
+     */
+    sendIdentity() {
+        this.send(`id name ${ENGINE_NAME}`);
+        this.send(`id author ${ENGINE_AUTHOR}`);
+
+        const levels = Object.keys(DIFFICULTY_LEVELS).map(level => `var ${level}`).join(' ');
+        this.send(`option name Level type combo default intermediate ${levels}`);
+        this.send('option name OwnBook type check default true');
+        this.send('option name BookFile type string default <empty>');
+        this.send('option name Backend type string default <empty>');
+        this.send('option name Seed type string default <random>');
+
+        const personalities = Object.keys(PERSONALITIES).map(id => `var ${id}`).join(' ');
+        this.send(`option name Personality type combo default ${DEFAULT_PERSONALITY} ${personalities}`);
+
+        // Style weights of the default personality; setting one changes the current personality's
+        for (const [name, weight] of Object.entries(PERSONALITIES[DEFAULT_PERSONALITY].styleWeights)) {
+            this.send(`option name ${name} type spin default ${weight} min -1000 max 1000`);
+        }
+
+        this.send('uciok');
+    }
+
+    /**
+     * setoption name <name> value <value>
+     */
+    setOption(tokens) {
+        const valueIndex = tokens.indexOf('value');
+        const name = tokens.slice(1, valueIndex === -1 ? undefined : valueIndex).join(' ');
+        const value = valueIndex === -1 ? '' : tokens.slice(valueIndex + 1).join(' ');
+
+        if (name === 'Level') {
+            this.engine.setDifficulty(value);
+        } else if (name === 'OwnBook') {
+            this.ownBook = value === 'true';
+        } else if (name === 'BookFile') {
+            this.setBookFile(value);
+        } else if (name === 'Backend') {
+            this.setBackend(value);
+        } else if (name === 'Seed') {
+            const seed = parseInt(value, 10);
+            if (!Number.isNaN(seed)) {
+                this.engine.setSeed(seed);
+            }
+        } else if (name === 'Personality') {
+            this.engine.setPersonality(value);
+        } else if (name in this.engine.personality.styleWeights) {
+            const weight = parseInt(value, 10);
+            if (!Number.isNaN(weight)) {
+                this.engine.personality.styleWeights[name] = weight;
+            }
+        } else {
+            console.error(`Unknown option: ${name}`);
+        }
+    }
+
+    /**
+     * Play from a Polyglot .bin book instead of the personality's own
+     */
+    setBookFile(file) {
+        if (!file || file === '<empty>') {
+            this.engine.setPolyglotBook(null);
+            return;
+        }
+
+        try {
+            this.engine.setPolyglotBook(new PolyglotBook(fs.readFileSync(file)));
+        } catch (error) {
+            console.error(`Could not read book ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run another UCI engine for strength, e.g. "stockfish" or "node tools/mock-uci-engine.js"
+     */
+    setBackend(commandLine) {
+        if (this.engine.backend) {
+            this.engine.backend.quit();
+        }
+
+        const useBackend = commandLine && commandLine !== '<empty>';
+        this.engine.setBackend(useBackend ? new UciBackend(new ProcessTransport(commandLine)) : null);
+    }
+
+    /**
+     * position [startpos | fen <fen>] [moves <uci>...]
+     */
+    setPosition(tokens) {
+        const movesIndex = tokens.indexOf('moves');
+        const setup = movesIndex === -1 ? tokens : tokens.slice(0, movesIndex);
+        const moves = movesIndex === -1 ? [] : tokens.slice(movesIndex + 1);
+
+        this.game = setup[0] === 'fen' ? new Chess(setup.slice(1).join(' ')) : new Chess();
+
+        for (const uci of moves) {
+            const move = this.game.move({
+                from: uci.substring(0, 2),
+                to: uci.substring(2, 4),
+                promotion: uci.length > 4 ? uci[4] : undefined
+            });
+            if (!move) {
+                console.error(`Illegal move in position command: ${uci}`);
+                break;
+            }
+        }
+    }
+
+    /**
+     * go [depth N] [movetime N] [wtime N btime N winc N binc N movestogo N] [infinite]
+     */
+    async go(tokens) {
+        if (this.searching) return;
+
+        const params = {};
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i] === 'infinite') {
+                params.infinite = true;
+            } else if (i + 1 < tokens.length) {
+                params[tokens[i]] = parseInt(tokens[i + 1], 10);
+                i++;
+            }
+        }
+
+        this.searching = true;
+        this.infinite = !!params.infinite;
+        this.heldBestMove = null;
+
+        const startTime = Date.now();
+        const limits = {
+            depth: params.depth || (params.infinite ? MAX_DEPTH : undefined),
+            timeMs: this.allocateTime(params),
+            onIteration: (result) => this.sendInfo(result, Date.now() - startTime)
+        };
+
+        const playerColor = this.game.turn() === 'w' ? 'b' : 'w';
+        const move = await this.engine.getBestMove(this.game, playerColor, { ...limits, book: this.ownBook });
+
+        const bestMove = move ? move.from + move.to + (move.promotion || '') : '0000';
+        this.searching = false;
+
+        if (this.infinite) {
+            this.heldBestMove = bestMove;
+        } else {
+            this.send(`bestmove ${bestMove}`);
+        }
+    }
+
+    /**
+     * Decide how long to think from the go parameters
+     */
+    allocateTime(params) {
+        if (params.infinite) return Infinity;
+        if (params.movetime) return Math.max(1, params.movetime - MOVE_OVERHEAD);
+
+        const remaining = this.game.turn() === 'w' ? params.wtime : params.btime;
+        const increment = (this.game.turn() === 'w' ? params.winc : params.binc) || 0;
+
+        if (remaining !== undefined) {
+            const movesToGo = params.movestogo || 30;
+            const budget = remaining / movesToGo + increment * 0.75;
+            return Math.max(1, Math.min(budget, remaining / 2) - MOVE_OVERHEAD);
+        }
+
+        // Depth-only searches run to depth; bare "go" uses the level's pace
+        return params.depth ? Infinity : undefined;
+    }
+
+    /**
+     * Report a completed iteration
+     */
+    sendInfo(result, elapsed) {
+        const best = result.rootMoves[0];
+        const objective = toUciScore(best.score - best.bonus);
+        const score = 'mate' in objective ? `mate ${objective.mate}` : `cp ${objective.cp}`;
+
+        const pv = this.engine.search.principalVariation(this.game, best.move).map(moveToUci);
+        this.send(`info depth ${result.depth} score ${score} nodes ${result.nodes} time ${elapsed} pv ${pv.join(' ')}`);
+    }
+
+    /**
+     * Stop searching and answer with the best move so far
+     */
+    stop() {
+        this.engine.search.stop();
+        this.infinite = false;
+
+        if (this.heldBestMove) {
+            this.send(`bestmove ${this.heldBestMove}`);
+            this.heldBestMove = null;
+        }
+    }
+}
+
+// UCI owns stdout - engine chatter goes to stderr
+console.log = (...args) => console.error(...args);
+
+if (isMainThread) {
+    const stopFlag = new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+    const worker = new Worker(__filename, { workerData: { stopFlag } });
+    let searching = false;
+    worker.on('message', line => {
+        if (line.startsWith('bestmove')) searching = false;
+        process.stdout.write(line + '\n');
+    });
+    worker.on('exit', code => process.exit(code));
+
+    // The flag follows the input order: each "go" clears it, so an old "stop" can't cut the next search short
+    const forward = (line) => {
+        const command = line.trim().split(/\s+/)[0];
+        if (command === 'go') {
+            Atomics.store(stopFlag, 0, 0);
+            searching = true;
+        } else if (command === 'stop' || command === 'quit') {
+            Atomics.store(stopFlag, 0, 1);
+        } else if (command === 'isready' && searching) {
+            // Must be answered at once, even mid-search
+            process.stdout.write('readyok\n');
+            return;
+        }
+        worker.postMessage(line);
+    };
+
+    const input = readline.createInterface({ input: process.stdin });
+    input.on('line', forward);
+    input.on('close', () => forward('quit'));
+} else {
+    const session = new UciSession(line => parentPort.postMessage(line), workerData.stopFlag);
+    parentPort.on('message', line => session.handleLine(line));
+}